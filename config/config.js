@@ -8,17 +8,102 @@ export const APP_CONFIG = {
         BASE_URL: 'https://api-free.deepl.com/v2',
         TIMEOUT: 30000,
         MAX_RETRIES: 3,
+        RETRY_BASE_DELAY: 1000, // Exponential backoff base for 429/5xx retries
+        RETRY_MAX_DELAY: 30000,
         RATE_LIMIT: 10,
         BATCH_SIZE: 50
     },
     
+    // Translation Provider Configuration
+    // Each provider is selectable in the form; BASE_URL can be overridden per run
+    // (e.g. to point at a local stub server or a self-hosted LLM endpoint).
+    // COST_PER_MILLION_CHARS (USD) is only used for the pre-flight cost estimate.
+    TRANSLATION_PROVIDERS: {
+        DEFAULT: 'deepl',
+        deepl: {
+            NAME: 'DeepL',
+            KEY_LABEL: 'DeepL API Key',
+            COST_PER_MILLION_CHARS: 25,
+            MAX_REQUEST_BYTES: 120 * 1024 // DeepL rejects request bodies over 128 KiB; headroom for other params
+        },
+        google: {
+            NAME: 'Google Cloud Translation',
+            KEY_LABEL: 'Google Cloud API Key',
+            COST_PER_MILLION_CHARS: 20,
+            BASE_URL: 'https://translation.googleapis.com/language/translate/v2',
+            MAX_SEGMENTS: 128
+        },
+        papago: {
+            NAME: 'Papago (Naver Cloud)',
+            KEY_LABEL: 'Papago Client ID:Client Secret',
+            BASE_URL: 'https://naveropenapi.apigw.ntruss.com/nmt/v1'
+        },
+        openai: {
+            NAME: 'OpenAI-compatible LLM',
+            KEY_LABEL: 'LLM API Key',
+            BASE_URL: 'https://api.openai.com/v1',
+            MODEL: 'gpt-4o-mini',
+            TIMEOUT: 60000
+        }
+    },
+    
+    // Target language registry - the single list of languages the tool handles.
+    // Keys are the sheet tab names and the keys inside multi-language JSON.
+    // PROVIDERS maps a provider id to that provider's language code; a provider
+    // missing from the map cannot translate the language (Mongolian is not on
+    // DeepL or Papago, so mn runs go through Google or an LLM).
+    LANGUAGES: {
+        en: {
+            NAME: 'English (US)',
+            PROVIDERS: { deepl: 'EN-US', google: 'en', papago: 'en', openai: 'English' }
+        },
+        ja: {
+            NAME: 'Japanese',
+            PROVIDERS: { deepl: 'JA', google: 'ja', papago: 'ja', openai: 'Japanese' }
+        },
+        th: {
+            NAME: 'Thai',
+            PROVIDERS: { deepl: 'TH', google: 'th', papago: 'th', openai: 'Thai' }
+        },
+        'zh-Hans': {
+            NAME: 'Chinese (Simplified)',
+            PROVIDERS: { deepl: 'ZH-HANS', google: 'zh-CN', papago: 'zh-CN', openai: 'Simplified Chinese' }
+        },
+        'zh-Hant': {
+            NAME: 'Chinese (Traditional)',
+            PROVIDERS: { deepl: 'ZH-HANT', google: 'zh-TW', papago: 'zh-TW', openai: 'Traditional Chinese' }
+        },
+        vi: {
+            NAME: 'Vietnamese',
+            PROVIDERS: { deepl: 'VI', google: 'vi', papago: 'vi', openai: 'Vietnamese' }
+        },
+        ru: {
+            NAME: 'Russian',
+            PROVIDERS: { deepl: 'RU', google: 'ru', papago: 'ru', openai: 'Russian' }
+        },
+        mn: {
+            NAME: 'Mongolian',
+            PROVIDERS: { google: 'mn', openai: 'Mongolian (Cyrillic script)' }
+        }
+    },
+    
     // Google API Configuration 
     GOOGLE_API_KEY: '', 
     GOOGLE_CLIENT_ID: '825827340710-ejjs06hs55j4bhvr1ds8tsfrvfb1r0sl.apps.googleusercontent.com',
     
     // MULTI-LANGUAGE CONFIG
+    // Source language. Rows with no Korean text are translated from the first
+    // PIVOT_LANGUAGES entry that has content in their old_json (pivot mode);
+    // an empty list turns pivoting off.
+    SOURCE_LANGUAGE: {
+        KEY: 'ko',
+        NAME: 'Korean',
+        PROVIDERS: { deepl: 'KO', google: 'ko', papago: 'ko', openai: 'Korean' },
+        PIVOT_LANGUAGES: ['en', 'ja', 'zh-Hans', 'zh-Hant', 'ru', 'vi', 'th', 'mn']
+    },
+    
+    // Language keys come from LANGUAGES
     MULTI_LANGUAGE_JSON: {
-        LANGUAGE_CODES: ['en', 'ja', 'th'],
         DEFAULT_VALUES: {
             name: '',
             history: '',
@@ -41,73 +126,154 @@ export const APP_CONFIG = {
     VALIDATION: {
         SHEETS_URL_PATTERN: /^https:\/\/docs\.google\.com\/spreadsheets\/d\/[a-zA-Z0-9-_]+/,
         API_KEY_MIN_LENGTH: 10,
+        // Source columns plus every column the writer targets
         REQUIRED_COLUMNS: {
-            DOCTOR: ['id', 'kr_name', 'kr_history'],
-            HOSPITAL: ['id', 'kr_name', 'kr_description']
-        }
-    },
-    
-    // Fixed Sheet Column Structure
-    SHEET_COLUMNS: {
-        DOCTOR: {
-            id: 0,
-            kr_name: 1,
-            kr_history: 2,
-            language: 3,
-            old_name: 4,
-            old_history: 5,
-            old_json: 6,
-            manual_name: 7,
-            manual_history: 8,
-            llm_name: 9,
-            llm_history: 10,
-            updated_json: 11
-        },
-        HOSPITAL: {
-            id: 0,
-            kr_name: 1,
-            kr_description: 2,
-            language: 3,
-            old_name: 4,
-            old_description: 5,
-            old_json: 6,
-            manual_name: 7,
-            manual_description: 8,
-            llm_name: 9,
-            llm_description: 10,
-            updated_json: 11
+            DOCTOR: ['id', 'kr_name', 'kr_history', 'llm_name', 'llm_history', 'updated_json'],
+            HOSPITAL: ['id', 'kr_name', 'kr_description', 'llm_name', 'llm_description', 'updated_json']
         }
     },
     
-    // Column Letters for Writing
-    COLUMN_LETTERS: {
+    // Sheet Column Headers
+    // Columns are located by header name (case-insensitive), so helper columns
+    // can be inserted anywhere. Maps parsed field -> header name.
+    SHEET_HEADERS: {
         DOCTOR: {
-            llm_name: 'J',
-            llm_history: 'K',
-            updated_json: 'L'
+            id: 'id',
+            kr_name: 'kr_name',
+            kr_history: 'kr_history',
+            language: 'language',
+            old_name: 'old_name',
+            old_history: 'old_history',
+            old_json: 'old_json',
+            manual_name: 'manual_name',
+            manual_history: 'manual_history',
+            llm_name: 'LLM_name',
+            llm_history: 'LLM_history',
+            updated_json: 'updated_json',
+            qa_back_translation: 'qa_back_translation', // Optional: back-translation score
+            source_hash: 'source_hash' // Optional: hashes of the Korean source last translated
         },
         HOSPITAL: {
-            llm_name: 'J',
-            llm_description: 'K',
-            updated_json: 'L'
+            id: 'id',
+            kr_name: 'kr_name',
+            kr_description: 'kr_description',
+            language: 'language',
+            old_name: 'old_name',
+            old_description: 'old_description',
+            old_json: 'old_json',
+            manual_name: 'manual_name',
+            manual_description: 'manual_description',
+            llm_name: 'LLM_name',
+            llm_description: 'LLM_description',
+            updated_json: 'updated_json',
+            qa_back_translation: 'qa_back_translation', // Optional: back-translation score
+            source_hash: 'source_hash' // Optional: hashes of the Korean source last translated
         }
     },
     
     // Translation Configuration
     TRANSLATION: {
-        SUPPORTED_LANGUAGES: {
-            en: { code: 'EN-US', name: 'English (US)' },
-            ja: { code: 'JA', name: 'Japanese' },
-            th: { code: 'TH', name: 'Thai' }
-        },
+        ALL_LANGUAGES: 'all', // Form value that runs every LANGUAGES tab present in the sheet
         BATCH_SIZE: 50,
         CONCURRENT_REQUESTS: 3,
+        // How line breaks in multi-line fields survive translation:
+        // 'lines' = each line translated separately, 'xml' = one request with
+        // <l> tags per line (providers with tag handling, else 'lines'),
+        // 'none' = the text is sent as is
+        LINE_HANDLING: 'lines',
         FIELDS: {
             DOCTOR: ['name', 'history'],
             HOSPITAL: ['name', 'description']
         }
     },
     
+    // Tone of the translations per data type and target language, sent on every request.
+    // formality: 'default' | 'prefer_more' | 'prefer_less' (DeepL's formality; the
+    // prefer_ values fall back silently for languages without formality support).
+    // context: describes the text to the provider (DeepL context, LLM prompt); not translated or billed.
+    // The Options section of the form can override both for a run.
+    TRANSLATION_STYLE: {
+        DOCTOR: {
+            en: { formality: 'default', context: 'Profile of a doctor at a Korean cosmetic clinic, for international patients' },
+            ja: { formality: 'prefer_more', context: 'Profile of a doctor at a Korean cosmetic clinic, polite copy for patients' },
+            th: { formality: 'default', context: 'Profile of a doctor at a Korean cosmetic clinic, for international patients' },
+            'zh-Hans': { formality: 'default', context: 'Profile of a doctor at a Korean cosmetic clinic, for international patients' },
+            'zh-Hant': { formality: 'default', context: 'Profile of a doctor at a Korean cosmetic clinic, for international patients' },
+            vi: { formality: 'default', context: 'Profile of a doctor at a Korean cosmetic clinic, for international patients' },
+            ru: { formality: 'prefer_more', context: 'Profile of a doctor at a Korean cosmetic clinic, polite copy for patients' },
+            mn: { formality: 'default', context: 'Profile of a doctor at a Korean cosmetic clinic, for international patients' }
+        },
+        HOSPITAL: {
+            en: { formality: 'default', context: 'Korean cosmetic clinic marketing copy' },
+            ja: { formality: 'prefer_more', context: 'Korean cosmetic clinic marketing copy, polite register for patients' },
+            th: { formality: 'default', context: 'Korean cosmetic clinic marketing copy' },
+            'zh-Hans': { formality: 'default', context: 'Korean cosmetic clinic marketing copy' },
+            'zh-Hant': { formality: 'default', context: 'Korean cosmetic clinic marketing copy' },
+            vi: { formality: 'default', context: 'Korean cosmetic clinic marketing copy' },
+            ru: { formality: 'prefer_more', context: 'Korean cosmetic clinic marketing copy, polite register for patients' },
+            mn: { formality: 'default', context: 'Korean cosmetic clinic marketing copy' }
+        }
+    },
+    
+    // Doctor name transliteration - Hangul names are romanized (en), written in
+    // katakana (ja) or Thai script (th) by rule instead of being sent to the provider.
+    // Manual name columns still win over the result (manual > llm priority).
+    NAME_ROMANIZATION: {
+        ENABLED: true,
+        // Conventional spellings used instead of Revised Romanization
+        SURNAMES: {
+            '김': 'Kim',
+            '이': 'Lee',
+            '박': 'Park',
+            '최': 'Choi'
+        }
+    },
+    
+    // Back-translation check - translated fields are translated back to the source
+    // language and compared with it (character n-gram similarity, 0-1). Rows scoring
+    // below THRESHOLD are flagged for review. Doubles the characters sent.
+    BACK_TRANSLATION: {
+        ENABLED: false, // Default of the form option
+        THRESHOLD: 0.5,
+        NGRAM_SIZE: 2
+    },
+    
+    // Source promotion - after a run, copy kr_* into old_* and updated_json into
+    // old_json for the rows written, so the next run sees them as unchanged
+    PROMOTE_SOURCE: {
+        ENABLED: false // Default of the form option
+    },
+    
+    // Translation Memory (IndexedDB) - reuses earlier translations of identical strings
+    TRANSLATION_MEMORY: {
+        ENABLED: true,
+        DB_NAME: 'hgc-translation-memory',
+        STORE_NAME: 'translations'
+    },
+    
+    // Checkpoint Configuration
+    // Translated batches are saved as they complete so an interrupted run can resume
+    CHECKPOINTS: {
+        ENABLED: true,
+        DB_NAME: 'hgc-checkpoints',
+        STORE_NAME: 'runs'
+    },
+    
+    // Glossary Configuration
+    // A "glossary" tab maps Korean terms (kr column) to per-language terms (one column per LANGUAGES key)
+    GLOSSARY: {
+        SHEET_NAME: 'glossary',
+        SOURCE_HEADERS: ['kr', 'kr_term', 'korean'],
+        NAME_PREFIX: 'hgc'
+    },
+    
+    // Official hospital names - tab with a Korean name column and one column per
+    // language code (en, ja, th, ...); matching names skip machine translation
+    NAME_DICTIONARY: {
+        SHEET_NAME: 'hospital_names',
+        KEY_HEADERS: ['kr_name', 'kr', 'korean']
+    },
+    
     // JSON Output Configuration
     JSON_OUTPUT: {
         INDENT: 2,
@@ -135,7 +301,7 @@ export const APP_CONFIG = {
     
     ERROR_MESSAGES: {
         INVALID_SHEETS_URL: 'Please enter a valid Google Sheets URL',
-        MISSING_API_KEY: 'Please enter your DeepL API key',
+        MISSING_API_KEY: 'Please enter your translation API key',
         MISSING_LANGUAGE: 'Please select a target language',
         TRANSLATION_FAILED: 'Translation failed. Please try again.',
         NETWORK_ERROR: 'Network error. Please check your connection.',
@@ -147,17 +313,6 @@ export const APP_CONFIG = {
         NO_ROWS_TO_TRANSLATE: 'No rows found that need translation.'
     },
     
-    // Progress Steps Configuration
-    PROGRESS_STEPS: [
-        { name: 'Authenticating with Google...', weight: 1 },
-        { name: 'Loading spreadsheet...', weight: 1 },
-        { name: 'Analyzing data...', weight: 1 },
-        { name: 'Translating content...', weight: 4 },
-        { name: 'Writing translations...', weight: 2 },
-        { name: 'Generating JSON...', weight: 1 },
-        { name: 'Updating spreadsheet...', weight: 2 }
-    ],
-    
     // Write Operations Configuration
     WRITE_CONFIG: {
         BATCH_SIZE: 100,
@@ -1,6 +1,8 @@
 // Form Builder Module - Updated with OAuth2 and Language Selection
 import { Button, Input, Select, RadioGroup, Section } from './ui-components.js';
 import { validateSheetsUrl, validateApiKey } from '../utils/validators.js';
+import { ProviderRegistry } from '../services/providers/provider-registry.js';
+import { LanguageRegistry } from '../utils/language-registry.js';
 import { APP_CONFIG } from '../../config/config.js';
 
 /**
@@ -22,8 +24,21 @@ export const TranslationFormBuilder = {
             sheetsUrl: '',
             dataType: '',
             language: '',
-            apiService: 'deepl',
+            apiService: APP_CONFIG.TRANSLATION_PROVIDERS.DEFAULT,
             apiKey: '',
+            apiKeys: {}, // Keys entered per provider during this session
+            apiEndpoint: '',
+            apiModel: '',
+            previewChanges: false, // Review a per-row diff before writing
+            transliterateNames: APP_CONFIG.NAME_ROMANIZATION.ENABLED, // Rule-based doctor names
+            lineHandling: APP_CONFIG.TRANSLATION.LINE_HANDLING, // How multi-line fields keep their line breaks
+            formality: '', // Overrides TRANSLATION_STYLE formality ('' = per-language default)
+            translationContext: '', // Overrides TRANSLATION_STYLE context ('' = per-language default)
+            qaRetryProvider: '', // Provider that retries rows flagged by QA ('' = no retry)
+            qaRetryApiKey: '',
+            blockEntityMismatches: false, // Keep rows with changed numbers/URLs/emails out of the sheet
+            verifyBackTranslation: APP_CONFIG.BACK_TRANSLATION.ENABLED, // Score translations by translating them back
+            promoteSource: APP_CONFIG.PROMOTE_SOURCE.ENABLED, // Copy kr_* to old_* after writing
             isValid: false
         };
         
@@ -33,7 +48,8 @@ export const TranslationFormBuilder = {
             dataSource: createDataSourceSection(state),
             dataType: createDataTypeSection(),
             language: createLanguageSection(),
-            apiConfig: createApiConfigSection(),
+            apiConfig: createApiConfigSection(state),
+            options: createOptionsSection(state, config.onClearMemory),
             actions: createActionsSection()
         };
         
@@ -69,7 +85,8 @@ export const TranslationFormBuilder = {
             sections.dataSource.inputs.sheetsUrl.setDisabled(shouldDisable);
             sections.dataType.setDisabled?.(shouldDisable);
             sections.language.inputs.language.setDisabled(shouldDisable);
-            sections.apiConfig.inputs.apiKey.setDisabled(shouldDisable);
+            Object.values(sections.apiConfig.inputs).forEach(input => input.setDisabled(shouldDisable));
+            Object.values(sections.options.inputs).forEach(input => input.setDisabled(shouldDisable));
             
             validate();
         };
@@ -104,11 +121,69 @@ export const TranslationFormBuilder = {
             validate();
         });
         
+        sections.apiConfig.inputs.apiSelector.select.addEventListener('change', (e) => {
+            // Remember the key typed for the previous provider
+            state.apiKeys[state.apiService] = state.apiKey;
+            state.apiService = e.target.value;
+            state.apiKey = state.apiKeys[state.apiService] || '';
+            sections.apiConfig.updateProviderUI(state.apiService, state.apiKey);
+            validate();
+        });
+        
         sections.apiConfig.inputs.apiKey.input.addEventListener('input', (e) => {
             state.apiKey = e.target.value;
+            state.apiKeys[state.apiService] = state.apiKey;
             validate();
         });
         
+        sections.apiConfig.inputs.apiEndpoint.input.addEventListener('input', (e) => {
+            state.apiEndpoint = e.target.value.trim();
+        });
+        
+        sections.apiConfig.inputs.apiModel.input.addEventListener('input', (e) => {
+            state.apiModel = e.target.value.trim();
+        });
+        
+        sections.options.inputs.previewChanges.input.addEventListener('change', (e) => {
+            state.previewChanges = e.target.checked;
+        });
+        
+        sections.options.inputs.transliterateNames.input.addEventListener('change', (e) => {
+            state.transliterateNames = e.target.checked;
+        });
+        
+        sections.options.inputs.lineHandling.select.addEventListener('change', (e) => {
+            state.lineHandling = e.target.value;
+        });
+        
+        sections.options.inputs.formality.select.addEventListener('change', (e) => {
+            state.formality = e.target.value;
+        });
+        
+        sections.options.inputs.translationContext.input.addEventListener('input', (e) => {
+            state.translationContext = e.target.value.trim();
+        });
+        
+        sections.options.inputs.blockEntityMismatches.input.addEventListener('change', (e) => {
+            state.blockEntityMismatches = e.target.checked;
+        });
+        
+        sections.options.inputs.verifyBackTranslation.input.addEventListener('change', (e) => {
+            state.verifyBackTranslation = e.target.checked;
+        });
+        
+        sections.options.inputs.promoteSource.input.addEventListener('change', (e) => {
+            state.promoteSource = e.target.checked;
+        });
+        
+        sections.options.inputs.qaRetryProvider.select.addEventListener('change', (e) => {
+            state.qaRetryProvider = e.target.value;
+        });
+        
+        sections.options.inputs.qaRetryApiKey.input.addEventListener('input', (e) => {
+            state.qaRetryApiKey = e.target.value;
+        });
+        
         form.addEventListener('submit', handleSubmit);
         
         // Return form API
@@ -287,16 +362,18 @@ function createLanguageSection() {
         disabled: true, // Disabled until authenticated
         options: [
             { value: '', text: 'Choose a language...' },
-            { value: 'en', text: 'English (US)' },
-            { value: 'ja', text: 'Japanese' },
-            { value: 'th', text: 'Thai' }
+            ...LanguageRegistry.list().map(language => ({
+                value: language.key,
+                text: `${language.name} (${language.key})`
+            })),
+            { value: APP_CONFIG.TRANSLATION.ALL_LANGUAGES, text: 'All languages (every language tab in the sheet)' }
         ]
     });
     
     // Help text
     const helpText = document.createElement('small');
     helpText.className = 'help-text';
-    helpText.textContent = 'The sheet tab name should match the language code (en, ja, or th)';
+    helpText.textContent = `The sheet tab name should match the language code (${LanguageRegistry.keys().join(', ')}). "All languages" translates every such tab in one run.`;
     
     fieldset.appendChild(languageSelector.container);
     fieldset.appendChild(helpText);
@@ -344,7 +421,7 @@ function createDataTypeSection() {
 /**
  * Create API Configuration Section
  */
-function createApiConfigSection() {
+function createApiConfigSection(state) {
     const section = Section.create({
         className: 'form-section'
     });
@@ -356,40 +433,250 @@ function createApiConfigSection() {
     legend.textContent = 'Translation API';
     fieldset.appendChild(legend);
     
-    // API Service selector (hidden for now, only DeepL supported)
+    // API Service selector (filled from the provider registry)
     const apiSelector = Select.create({
         id: 'api-selector',
         name: 'api-selector',
         label: 'Translation Service',
         required: true,
-        value: 'deepl',
-        disabled: true,
-        options: [
-            { value: 'deepl', text: 'DeepL' }
-        ]
+        value: state.apiService,
+        disabled: true, // Disabled until authenticated
+        options: ProviderRegistry.list().map(provider => ({
+            value: provider.id,
+            text: provider.name
+        }))
     });
-    apiSelector.container.style.display = 'none'; // Hide since only one option
     
     // API Key input
     const apiKeyInput = Input.password({
         id: 'api-key',
         name: 'api-key',
-        label: 'DeepL API Key',
-        placeholder: 'Enter your DeepL API key',
+        label: 'API Key',
+        placeholder: 'Enter your API key',
         helpText: 'Your API key is used only for this session and never stored',
         required: true,
         disabled: true // Disabled until authenticated
     });
     
+    // Optional endpoint override (local stub server, self-hosted LLM, DeepL Pro)
+    const apiEndpointInput = Input.text({
+        id: 'api-endpoint',
+        name: 'api-endpoint',
+        label: 'API Endpoint (optional)',
+        helpText: 'Leave empty to use the provider default',
+        disabled: true
+    });
+    
+    // Model name, only used by the LLM provider
+    const apiModelInput = Input.text({
+        id: 'api-model',
+        name: 'api-model',
+        label: 'Model',
+        disabled: true
+    });
+    
+    // Update labels and placeholders for the selected provider
+    const updateProviderUI = (providerId, apiKey = '') => {
+        const settings = APP_CONFIG.TRANSLATION_PROVIDERS[providerId] || {};
+        const keyLabel = apiKeyInput.container.querySelector('label');
+        if (keyLabel) keyLabel.textContent = settings.KEY_LABEL || 'API Key';
+        apiKeyInput.input.placeholder = `Enter your ${settings.NAME || providerId} API key`;
+        apiKeyInput.setValue(apiKey);
+        
+        apiEndpointInput.input.placeholder = providerId === 'deepl'
+            ? APP_CONFIG.DEEPL_API.BASE_URL
+            : (settings.BASE_URL || '');
+        
+        apiModelInput.input.placeholder = settings.MODEL || '';
+        apiModelInput.container.style.display = settings.MODEL ? '' : 'none';
+    };
+    updateProviderUI(state.apiService);
+    
     fieldset.appendChild(apiSelector.container);
     fieldset.appendChild(apiKeyInput.container);
+    fieldset.appendChild(apiEndpointInput.container);
+    fieldset.appendChild(apiModelInput.container);
     section.element.appendChild(fieldset);
     
     return {
         element: section.element,
         inputs: { 
             apiSelector,
-            apiKey: apiKeyInput
+            apiKey: apiKeyInput,
+            apiEndpoint: apiEndpointInput,
+            apiModel: apiModelInput
+        },
+        updateProviderUI
+    };
+}
+
+/**
+ * Create Run Options Section
+ * @param {Object} state - Form state
+ * @param {Function} onClearMemory - Called by the "Clear translation memory" button
+ */
+function createOptionsSection(state, onClearMemory) {
+    const section = Section.create({
+        className: 'form-section'
+    });
+    
+    const fieldset = document.createElement('fieldset');
+    fieldset.className = 'form-section';
+    
+    const legend = document.createElement('legend');
+    legend.textContent = 'Options';
+    fieldset.appendChild(legend);
+    
+    // Dry-run preview
+    const previewCheckbox = Input.checkbox({
+        id: 'preview-changes',
+        name: 'preview-changes',
+        label: 'Preview changes before writing',
+        helpText: 'Shows every row that would change and writes only the rows you approve',
+        checked: state.previewChanges,
+        disabled: true // Disabled until authenticated
+    });
+    
+    // Doctor name transliteration
+    const namesCheckbox = Input.checkbox({
+        id: 'transliterate-names',
+        name: 'transliterate-names',
+        label: 'Transliterate Korean doctor names',
+        helpText: 'Romanizes names (Kim, Lee, Park, Choi) for English, katakana for Japanese, Thai script for Thai; manual names still win',
+        checked: state.transliterateNames,
+        disabled: true // Disabled until authenticated
+    });
+    
+    // Line break handling for multi-line fields (history, description)
+    const lineHandlingSelector = Select.create({
+        id: 'line-handling',
+        name: 'line-handling',
+        label: 'Line breaks',
+        value: state.lineHandling,
+        disabled: true, // Disabled until authenticated
+        options: [
+            { value: 'lines', text: 'Translate line by line' },
+            { value: 'xml', text: 'Keep lines with XML tags (DeepL)' },
+            { value: 'none', text: 'Let the provider decide' }
+        ]
+    });
+    
+    // Tone of the translations (defaults per data type and language in TRANSLATION_STYLE)
+    const formalitySelector = Select.create({
+        id: 'formality',
+        name: 'formality',
+        label: 'Formality',
+        value: state.formality,
+        disabled: true, // Disabled until authenticated
+        options: [
+            { value: '', text: 'Per-language default (polite Japanese)' },
+            { value: 'prefer_more', text: 'Formal / polite' },
+            { value: 'default', text: 'Neutral' },
+            { value: 'prefer_less', text: 'Informal' }
+        ]
+    });
+    
+    const contextInput = Input.text({
+        id: 'translation-context',
+        name: 'translation-context',
+        label: 'Translation context (optional)',
+        placeholder: 'e.g. Korean cosmetic clinic marketing copy',
+        helpText: 'Describes the text to DeepL and LLM providers; leave empty for the per-language default',
+        disabled: true
+    });
+    
+    // Number/entity consistency
+    const blockMismatchesCheckbox = Input.checkbox({
+        id: 'block-entity-mismatches',
+        name: 'block-entity-mismatches',
+        label: 'Block rows with number mismatches',
+        helpText: 'Rows whose translation drops or changes a number, year, URL or email are reported and not written',
+        checked: state.blockEntityMismatches,
+        disabled: true // Disabled until authenticated
+    });
+    
+    // Back-translation similarity check
+    const backTranslationCheckbox = Input.checkbox({
+        id: 'verify-back-translation',
+        name: 'verify-back-translation',
+        label: 'Check by back-translation',
+        helpText: `Translates results back to Korean and flags rows with similarity below ${APP_CONFIG.BACK_TRANSLATION.THRESHOLD} (about twice the characters)`,
+        checked: state.verifyBackTranslation,
+        disabled: true // Disabled until authenticated
+    });
+    
+    // Promotion of the Korean source into the old_ columns
+    const promoteCheckbox = Input.checkbox({
+        id: 'promote-source',
+        name: 'promote-source',
+        label: 'Promote Korean source to old_ columns after writing',
+        helpText: 'Copies kr_* to old_* and updated_json to old_json for the rows written (can be reverted from the results)',
+        checked: state.promoteSource,
+        disabled: true // Disabled until authenticated
+    });
+    
+    // Retry of rows flagged by the QA check (untranslated Korean, wrong script)
+    const qaRetrySelector = Select.create({
+        id: 'qa-retry-provider',
+        name: 'qa-retry-provider',
+        label: 'Retry flagged rows with',
+        value: state.qaRetryProvider,
+        disabled: true, // Disabled until authenticated
+        options: [
+            { value: '', text: 'No retry (flag only)' },
+            ...ProviderRegistry.list().map(provider => ({
+                value: provider.id,
+                text: provider.name
+            }))
+        ]
+    });
+    
+    const qaRetryKeyInput = Input.password({
+        id: 'qa-retry-api-key',
+        name: 'qa-retry-api-key',
+        label: 'Retry Provider API Key',
+        placeholder: 'Only needed when retrying flagged rows',
+        helpText: 'Must be a different provider than the translation service',
+        disabled: true
+    });
+    
+    fieldset.appendChild(previewCheckbox.container);
+    fieldset.appendChild(namesCheckbox.container);
+    fieldset.appendChild(lineHandlingSelector.container);
+    fieldset.appendChild(formalitySelector.container);
+    fieldset.appendChild(contextInput.container);
+    fieldset.appendChild(blockMismatchesCheckbox.container);
+    fieldset.appendChild(backTranslationCheckbox.container);
+    fieldset.appendChild(promoteCheckbox.container);
+    fieldset.appendChild(qaRetrySelector.container);
+    fieldset.appendChild(qaRetryKeyInput.container);
+    
+    // Remembered translations are reused across runs until cleared
+    const clearMemoryBtn = Button.secondary({
+        id: 'clear-memory-btn',
+        text: 'Clear translation memory',
+        disabled: true, // Disabled until authenticated
+        onClick: () => onClearMemory && onClearMemory()
+    });
+    fieldset.appendChild(clearMemoryBtn);
+    section.element.appendChild(fieldset);
+    
+    return {
+        element: section.element,
+        inputs: {
+            previewChanges: previewCheckbox,
+            transliterateNames: namesCheckbox,
+            lineHandling: lineHandlingSelector,
+            formality: formalitySelector,
+            translationContext: contextInput,
+            blockEntityMismatches: blockMismatchesCheckbox,
+            verifyBackTranslation: backTranslationCheckbox,
+            promoteSource: promoteCheckbox,
+            qaRetryProvider: qaRetrySelector,
+            qaRetryApiKey: qaRetryKeyInput
+        },
+        buttons: {
+            clearMemory: clearMemoryBtn
         }
     };
 }
@@ -502,8 +789,21 @@ function resetForm(sections, state) {
     state.sheetsUrl = '';
     state.dataType = '';
     state.language = '';
-    state.apiService = 'deepl';
+    state.apiService = APP_CONFIG.TRANSLATION_PROVIDERS.DEFAULT;
     state.apiKey = '';
+    state.apiKeys = {};
+    state.apiEndpoint = '';
+    state.apiModel = '';
+    state.previewChanges = false;
+    state.transliterateNames = APP_CONFIG.NAME_ROMANIZATION.ENABLED;
+    state.lineHandling = APP_CONFIG.TRANSLATION.LINE_HANDLING;
+    state.formality = '';
+    state.translationContext = '';
+    state.qaRetryProvider = '';
+    state.qaRetryApiKey = '';
+    state.blockEntityMismatches = false;
+    state.verifyBackTranslation = APP_CONFIG.BACK_TRANSLATION.ENABLED;
+    state.promoteSource = APP_CONFIG.PROMOTE_SOURCE.ENABLED;
     state.isValid = false;
     
     // Reset inputs
@@ -517,11 +817,21 @@ function resetForm(sections, state) {
         sections.language.inputs.language.setValue('');
     }
     if (sections.apiConfig.inputs.apiSelector) {
-        sections.apiConfig.inputs.apiSelector.setValue('deepl');
-    }
-    if (sections.apiConfig.inputs.apiKey) {
-        sections.apiConfig.inputs.apiKey.setValue('');
+        sections.apiConfig.inputs.apiSelector.setValue(state.apiService);
     }
+    sections.apiConfig.inputs.apiEndpoint.setValue('');
+    sections.apiConfig.inputs.apiModel.setValue('');
+    sections.apiConfig.updateProviderUI(state.apiService);
+    sections.options.inputs.previewChanges.setValue(false);
+    sections.options.inputs.transliterateNames.setValue(state.transliterateNames);
+    sections.options.inputs.lineHandling.setValue(state.lineHandling);
+    sections.options.inputs.formality.setValue('');
+    sections.options.inputs.translationContext.setValue('');
+    sections.options.inputs.qaRetryProvider.setValue('');
+    sections.options.inputs.qaRetryApiKey.setValue('');
+    sections.options.inputs.blockEntityMismatches.setValue(false);
+    sections.options.inputs.verifyBackTranslation.setValue(state.verifyBackTranslation);
+    sections.options.inputs.promoteSource.setValue(state.promoteSource);
     
     // Reset buttons
     sections.dataSource.buttons.openSheet.disabled = true;
@@ -0,0 +1,246 @@
+// File path: js/components/preview-display.js
+// Preview Display Module - Dry-run review of pending sheet writes
+import { Section, Button } from './ui-components.js';
+import { ChangePreview } from '../utils/change-preview.js';
+
+/**
+ * Preview Display
+ * Shows current vs. proposed cell values per row and lets the user
+ * approve all rows or a subset before anything is written
+ */
+export class PreviewDisplay {
+    constructor(config = {}) {
+        this.config = config;
+        this.pending = null; // Resolver of the review in progress
+        this._buildUI();
+    }
+
+    /**
+     * Build the preview UI
+     */
+    _buildUI() {
+        this.section = Section.create({
+            id: 'preview-section',
+            className: 'preview-section',
+            title: 'Review Changes',
+            hidden: true
+        });
+
+        this.summary = document.createElement('p');
+        this.summary.className = 'preview-summary';
+
+        this.tableContainer = document.createElement('div');
+        this.tableContainer.className = 'preview-table-container';
+
+        const actionsDiv = document.createElement('div');
+        actionsDiv.className = 'preview-actions';
+
+        this.approveBtn = Button.primary({
+            id: 'preview-approve-btn',
+            text: 'Write Selected Rows',
+            onClick: () => this._finish(this.getSelectedRows())
+        });
+
+        this.discardBtn = Button.secondary({
+            id: 'preview-discard-btn',
+            text: 'Discard Changes',
+            onClick: () => this._finish(new Set())
+        });
+
+        actionsDiv.appendChild(this.approveBtn);
+        actionsDiv.appendChild(this.discardBtn);
+
+        this.section.element.appendChild(this.summary);
+        this.section.element.appendChild(this.tableContainer);
+        this.section.element.appendChild(actionsDiv);
+    }
+
+    /**
+     * Show the preview and wait for the user's decision
+     * @param {Array} previewRows - Rows from ChangePreview.buildRows
+     * @param {Object} options - { dataType, language }
+     * @returns {Promise<Set<number>>} - Approved row indices (empty when discarded)
+     */
+    review(previewRows, options = {}) {
+        this.render(previewRows, options);
+        this.section.show();
+        this.section.element.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+        return new Promise(resolve => {
+            this.pending = resolve;
+        });
+    }
+
+    /**
+     * Render the diff table
+     * @param {Array} previewRows - Rows from ChangePreview.buildRows
+     * @param {Object} options - { dataType, language }
+     */
+    render(previewRows, { dataType, language }) {
+        const fields = ChangePreview.getWrittenFields(dataType);
+
+        this.summary.textContent = `${previewRows.length} rows in the "${language}" tab would change. ` +
+            'Changed cells are highlighted; untick rows you do not want written.';
+
+        this.tableContainer.innerHTML = `
+            <table class="preview-table">
+                <thead>
+                    <tr>
+                        <th><input type="checkbox" class="preview-select-all" checked aria-label="Select all rows"></th>
+                        <th>Row</th>
+                        <th>ID</th>
+                        ${fields.map(field => `<th>${ChangePreview.getFieldLabel(field, dataType)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+        `;
+
+        const tbody = this.tableContainer.querySelector('tbody');
+        previewRows.forEach(previewRow => {
+            tbody.appendChild(this._createRow(previewRow, fields));
+        });
+
+        // Select-all toggles every row checkbox
+        const selectAll = this.tableContainer.querySelector('.preview-select-all');
+        selectAll.addEventListener('change', () => {
+            this._getRowCheckboxes().forEach(checkbox => {
+                checkbox.checked = selectAll.checked;
+            });
+            this._updateApproveButton();
+        });
+
+        tbody.addEventListener('change', () => {
+            const checkboxes = this._getRowCheckboxes();
+            selectAll.checked = checkboxes.every(checkbox => checkbox.checked);
+            this._updateApproveButton();
+        });
+
+        this._updateApproveButton();
+    }
+
+    /**
+     * Create a table row for one sheet row
+     * Cell values are set as text, never as HTML
+     * @param {Object} previewRow - Preview row
+     * @param {Array<string>} fields - Written fields
+     * @returns {HTMLTableRowElement}
+     */
+    _createRow(previewRow, fields) {
+        const tr = document.createElement('tr');
+
+        const selectCell = document.createElement('td');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = true;
+        checkbox.className = 'preview-row-select';
+        checkbox.dataset.rowIndex = previewRow.rowIndex;
+        selectCell.appendChild(checkbox);
+        tr.appendChild(selectCell);
+
+        const rowCell = document.createElement('td');
+        rowCell.textContent = previewRow.sheetRow;
+        tr.appendChild(rowCell);
+
+        const idCell = document.createElement('td');
+        idCell.textContent = previewRow.id;
+        tr.appendChild(idCell);
+
+        fields.forEach(field => {
+            const cell = document.createElement('td');
+            const diff = previewRow.fields.find(f => f.field === field);
+
+            if (!diff) {
+                cell.className = 'diff-none';
+                cell.textContent = '—';
+            } else if (!diff.changed) {
+                cell.className = 'diff-unchanged';
+                cell.textContent = diff.current;
+            } else {
+                cell.className = 'diff-changed';
+
+                const current = document.createElement('div');
+                current.className = 'diff-current';
+                current.textContent = diff.current || '(empty)';
+
+                const proposed = document.createElement('div');
+                proposed.className = 'diff-proposed';
+                proposed.textContent = diff.proposed || '(empty)';
+
+                cell.appendChild(current);
+                cell.appendChild(proposed);
+            }
+
+            tr.appendChild(cell);
+        });
+
+        return tr;
+    }
+
+    /**
+     * Get row checkboxes
+     * @returns {Array<HTMLInputElement>}
+     */
+    _getRowCheckboxes() {
+        return Array.from(this.tableContainer.querySelectorAll('.preview-row-select'));
+    }
+
+    /**
+     * Get the row indices currently selected
+     * @returns {Set<number>}
+     */
+    getSelectedRows() {
+        return new Set(
+            this._getRowCheckboxes()
+                .filter(checkbox => checkbox.checked)
+                .map(checkbox => Number(checkbox.dataset.rowIndex))
+        );
+    }
+
+    /**
+     * Update the approve button label with the selection count
+     */
+    _updateApproveButton() {
+        const count = this.getSelectedRows().size;
+        this.approveBtn.textContent = `Write Selected Rows (${count})`;
+        this.approveBtn.disabled = count === 0;
+    }
+
+    /**
+     * Resolve the pending review and hide the preview
+     * @param {Set<number>} approvedRows - Approved row indices
+     */
+    _finish(approvedRows) {
+        const resolve = this.pending;
+        this.pending = null;
+        this.hide();
+
+        if (resolve) {
+            resolve(approvedRows);
+        }
+    }
+
+    /**
+     * Discard a pending review (e.g. when the run is cancelled)
+     */
+    discard() {
+        if (this.pending) {
+            this._finish(new Set());
+        }
+    }
+
+    /**
+     * Hide preview
+     */
+    hide() {
+        this.section.hide();
+        this.tableContainer.innerHTML = '';
+    }
+
+    /**
+     * Get DOM element
+     */
+    getElement() {
+        return this.section.element;
+    }
+}
@@ -233,6 +233,7 @@ export class ProgressStepsManager {
         this.totalWeight = this.steps.reduce((sum, step) => sum + step.weight, 0);
         this.tracker = null;
         this.currentSubStep = null;
+        this.pass = null; // Current pass when running the steps once per language
     }
     
     /**
@@ -243,6 +244,36 @@ export class ProgressStepsManager {
         this.tracker = tracker;
     }
     
+    /**
+     * Start a new pass over all steps (e.g. one pass per target language)
+     * Overall progress spans all passes; step names are prefixed with the label
+     * @param {number} index - Pass index (0-based)
+     * @param {number} total - Number of passes
+     * @param {string|null} label - Pass label (e.g. language code), null for none
+     */
+    startPass(index, total, label = null) {
+        this.pass = { index, total, label };
+        
+        this.steps.forEach(step => {
+            step.status = 'pending';
+            step.progress = 0;
+            step.context = null;
+        });
+        this.currentSubStep = null;
+        
+        this._updateOverallProgress();
+    }
+    
+    /**
+     * Format a step name with the current pass label
+     * @param {string} name - Step name
+     * @returns {string}
+     */
+    _formatStepName(name) {
+        if (!this.pass || !this.pass.label) return name;
+        return `[${this.pass.label} ${this.pass.index + 1}/${this.pass.total}] ${name}`;
+    }
+    
     /**
      * Start a step
      * @param {number} stepId - Step ID
@@ -257,7 +288,7 @@ export class ProgressStepsManager {
         step.context = context;
         
         if (this.tracker) {
-            this.tracker.updateStatus(step.name);
+            this.tracker.updateStatus(this._formatStepName(step.name));
             
             // Show translation stats for relevant steps
             if (stepId === 2 && context.stats) {
@@ -340,6 +371,11 @@ export class ProgressStepsManager {
             weightedProgress += stepContribution;
         });
         
+        // Earlier passes count as complete
+        if (this.pass) {
+            weightedProgress = (this.pass.index * 100 + weightedProgress) / this.pass.total;
+        }
+        
         this.tracker.updateProgress(Math.round(weightedProgress));
     }
     
@@ -361,6 +397,7 @@ export class ProgressStepsManager {
         });
         
         this.currentSubStep = null;
+        this.pass = null;
         
         if (this.tracker) {
             this.tracker.reset();
@@ -368,6 +405,21 @@ export class ProgressStepsManager {
     }
 }
 
+/**
+ * Step ids of the translation workflow (indices into createTranslationSteps)
+ */
+export const TRANSLATION_STEPS = {
+    AUTH: 0,
+    LOAD: 1,
+    ANALYZE: 2,
+    TRANSLATE: 3,
+    QA: 4,
+    BUILD_JSON: 5,
+    WRITE_TRANSLATIONS: 6,
+    WRITE_JSON: 7,
+    PROMOTE: 8
+};
+
 /**
  * Create translation progress steps for LLM workflow
  */
@@ -394,17 +446,18 @@ export function createTranslationSteps() {
             name: 'Translating content...', 
             weight: 4,
             subSteps: [
-                'Connecting to DeepL API',
+                'Connecting to translation API',
                 'Processing translation batches',
                 'Handling translation results'
             ]
         },
         { 
-            name: 'Writing translations...', 
-            weight: 2,
+            name: 'Checking translation quality...', 
+            weight: 1,
             subSteps: [
-                'Preparing batch updates',
-                'Writing to LLM columns'
+                'Scanning for untranslated Korean',
+                'Checking target language script',
+                'Retrying flagged rows'
             ]
         },
         { 
@@ -415,6 +468,14 @@ export function createTranslationSteps() {
                 'Formatting JSON objects'
             ]
         },
+        { 
+            name: 'Writing translations...', 
+            weight: 2,
+            subSteps: [
+                'Preparing batch updates',
+                'Writing to LLM columns'
+            ]
+        },
         { 
             name: 'Updating spreadsheet...', 
             weight: 2,
@@ -422,6 +483,14 @@ export function createTranslationSteps() {
                 'Writing JSON results',
                 'Finalizing updates'
             ]
+        },
+        { 
+            name: 'Promoting source to old_ columns...', 
+            weight: 1,
+            subSteps: [
+                'Copying kr_ to old_ columns',
+                'Copying updated_json to old_json'
+            ]
         }
     ]);
 }
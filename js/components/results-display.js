@@ -1,6 +1,17 @@
 // Results Display Module - Updated for Write Confirmation and Statistics
 import { Section, Button, Alert } from './ui-components.js';
 import { APP_CONFIG } from '../../config/config.js';
+import { escapeHtml } from '../utils/validators.js';
+import { LanguageRegistry } from '../utils/language-registry.js';
+
+// Display names for TRANSLATION_STYLE formality values
+const FORMALITY_LABELS = {
+    default: 'neutral',
+    more: 'formal',
+    prefer_more: 'formal',
+    less: 'informal',
+    prefer_less: 'informal'
+};
 
 /**
  * Results Display Manager for LLM with Manual Override
@@ -71,8 +82,17 @@ export class ResultsDisplay {
             onClick: () => this.handleNewTranslation()
         });
         
+        // Revert promotion button (shown when the run promoted kr_* into old_*)
+        this.revertPromotionBtn = Button.secondary({
+            id: 'revert-promotion-btn',
+            text: 'Revert Promotion',
+            onClick: () => this.handleRevertPromotion()
+        });
+        this.revertPromotionBtn.style.display = 'none';
+        
         actionsDiv.appendChild(this.viewSheetBtn);
         actionsDiv.appendChild(this.newTranslationBtn);
+        actionsDiv.appendChild(this.revertPromotionBtn);
         
         // Append all elements
         this.section.element.appendChild(messageContainer);
@@ -89,6 +109,7 @@ export class ResultsDisplay {
         this.results = results;
         this.updateStatistics();
         this.updateSummary();
+        this.updatePromotionAction();
         this.section.show();
         
         // Update sheet URL for view button
@@ -156,20 +177,115 @@ export class ResultsDisplay {
         const summaryItems = [];
         
         // Language info
-        if (this.results.language) {
-            const langNames = {
-                en: 'English',
-                ja: 'Japanese',
-                th: 'Thai'
-            };
+        const langNames = Object.fromEntries(
+            LanguageRegistry.list().map(({ key, name }) => [key, name])
+        );
+        if (this.results.languages?.length > 0) {
+            const names = this.results.languages.map(lang => langNames[lang] || lang).join(', ');
+            summaryItems.push(`<strong>Languages:</strong> ${names}`);
+        } else if (this.results.language) {
             summaryItems.push(`<strong>Language:</strong> ${langNames[this.results.language] || this.results.language}`);
         }
         
+        // Translation service
+        if (this.results.provider) {
+            const providerName = APP_CONFIG.TRANSLATION_PROVIDERS[this.results.provider]?.NAME || this.results.provider;
+            summaryItems.push(`<strong>Translation Service:</strong> ${providerName}`);
+        }
+        
+        // Formality and context sent to the provider
+        if (this.results.translationStyles && Object.keys(this.results.translationStyles).length > 0) {
+            const styles = Object.entries(this.results.translationStyles).map(([lang, style]) => {
+                const formality = FORMALITY_LABELS[style.formality] || style.formality;
+                const context = style.context ? ` - "${escapeHtml(style.context)}"` : '';
+                return `${langNames[lang] || lang}: ${formality}${context}`;
+            });
+            summaryItems.push(`<strong>Tone:</strong> ${styles.join('; ')}`);
+        }
+        
         // Data type
         if (this.results.dataType) {
             summaryItems.push(`<strong>Data Type:</strong> ${this.capitalizeFirst(this.results.dataType)}`);
         }
         
+        // Translation memory reuse
+        if (this.results.statistics?.memoryHits > 0) {
+            summaryItems.push(`<strong>Translation Memory:</strong> ${this.results.statistics.memoryHits} texts reused`);
+        }
+        
+        // Rule-based name transliteration
+        if (this.results.statistics?.namesTransliterated > 0) {
+            summaryItems.push(`<strong>Names Transliterated:</strong> ${this.results.statistics.namesTransliterated} doctor names`);
+        }
+        
+        // Official hospital names
+        if (this.results.statistics?.dictionaryHits > 0) {
+            summaryItems.push(`<strong>Name Dictionary:</strong> ${this.results.statistics.dictionaryHits} official hospital names used`);
+        }
+        
+        // Translation QA
+        if (this.results.statistics?.rowsFlaggedByQA > 0 || this.results.statistics?.rowsFixedByRetry > 0) {
+            const { rowsFlaggedByQA, rowsFixedByRetry } = this.results.statistics;
+            summaryItems.push(`<strong>Translation QA:</strong> ${rowsFlaggedByQA} rows flagged for review` +
+                (rowsFixedByRetry > 0 ? `, ${rowsFixedByRetry} fixed by retry` : ''));
+        }
+        
+        // Number/entity consistency
+        if (this.results.statistics?.rowsWithEntityMismatch > 0) {
+            const { rowsWithEntityMismatch, rowsBlocked } = this.results.statistics;
+            summaryItems.push(`<strong>Number Check:</strong> ${rowsWithEntityMismatch} rows with mismatched numbers, years, URLs or emails` +
+                (rowsBlocked > 0 ? ` (${rowsBlocked} not written)` : ''));
+        }
+        
+        // Field-level change detection
+        if (this.results.statistics?.fieldsKept > 0) {
+            const { fieldsKept, charactersSaved } = this.results.statistics;
+            summaryItems.push(`<strong>Unchanged Fields Kept:</strong> ${fieldsKept} fields (${charactersSaved.toLocaleString()} characters saved)`);
+        }
+        
+        // Source promotion (kr_* -> old_*)
+        if (this.results.statistics?.rowsPromoted > 0) {
+            const fields = [...new Set((this.results.promotions || []).flatMap(promotion => promotion.fields))];
+            summaryItems.push(`<strong>Source Promoted:</strong> ${this.results.statistics.rowsPromoted} rows ` +
+                `(${escapeHtml(fields.join(', '))})` + (this.results.promotionReverted ? ' - reverted' : ''));
+        }
+        
+        // Back-translation check
+        if (this.results.statistics?.rowsVerified > 0) {
+            const { rowsVerified, similarityTotal, rowsBelowSimilarity } = this.results.statistics;
+            summaryItems.push(`<strong>Back-Translation:</strong> average similarity ${(similarityTotal / rowsVerified).toFixed(2)} over ${rowsVerified} rows` +
+                (rowsBelowSimilarity > 0 ? `, ${rowsBelowSimilarity} flagged for review` : ''));
+        }
+        
+        // Pivot translation (rows without Korean text)
+        if (this.results.statistics?.rowsFromPivot > 0) {
+            summaryItems.push(`<strong>Pivot Translation:</strong> ${this.results.statistics.rowsFromPivot} rows without Korean text translated from old_json`);
+        }
+        
+        // Escaped-text migration
+        if (this.results.statistics?.rowsRepaired > 0) {
+            summaryItems.push(`<strong>Escaped Text Repaired:</strong> ${this.results.statistics.rowsRepaired} rows (&amp;amp; and similar artefacts removed)`);
+        }
+        
+        // Quota pre-flight
+        if (this.results.statistics?.estimatedCharacters > 0) {
+            summaryItems.push(`<strong>Characters Sent:</strong> ~${this.results.statistics.estimatedCharacters.toLocaleString()}`);
+        }
+        if (this.results.statistics?.rowsDeferredForQuota > 0) {
+            summaryItems.push(`<strong>Deferred for Quota:</strong> ${this.results.statistics.rowsDeferredForQuota} rows were not translated`);
+        }
+        
+        // Resumed run
+        if (this.results.statistics?.rowsFromCheckpoint > 0) {
+            summaryItems.push(`<strong>Resumed Run:</strong> ${this.results.statistics.rowsFromCheckpoint} rows restored from an interrupted run`);
+        }
+        
+        // Dry-run review
+        if (this.results.previewChanges) {
+            const { rowsPreviewed, rowsApproved } = this.results.statistics;
+            summaryItems.push(`<strong>Reviewed Changes:</strong> ${rowsApproved} of ${rowsPreviewed} changed rows approved and written`);
+        }
+        
         // Completion time
         if (this.results.timestamp) {
             const date = new Date(this.results.timestamp);
@@ -189,32 +305,105 @@ export class ResultsDisplay {
             </div>
         `;
         
+        // Per-language breakdown for multi-target runs
+        if (this.results.perLanguage?.length > 1) {
+            this.addLanguageBreakdown(this.results.perLanguage, langNames);
+        }
+        
         // Add error details if any
         if (this.results.statistics?.errors?.length > 0) {
             this.addErrorDetails(this.results.statistics.errors);
         }
+        
+        // Sheet warnings (e.g. legacy sheets without source_hash) are not errors
+        if (this.results.statistics?.warnings?.length > 0) {
+            this.addWarningDetails(this.results.statistics.warnings);
+        }
+    }
+    
+    /**
+     * Add per-language results table
+     * @param {Array} perLanguage - Result of each language pass
+     * @param {Object} langNames - Language code -> display name
+     */
+    addLanguageBreakdown(perLanguage, langNames) {
+        const section = document.createElement('div');
+        section.className = 'language-breakdown';
+        section.innerHTML = `
+            <h4>Per-Language Results</h4>
+            <table class="language-table">
+                <thead>
+                    <tr>
+                        <th>Language</th>
+                        <th>Translated</th>
+                        <th>Skipped</th>
+                        <th>JSON Generated</th>
+                        <th>Errors</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${perLanguage.map(result => `
+                        <tr class="${result.success ? '' : 'row-error'}">
+                            <td>${langNames[result.language] || result.language}</td>
+                            <td>${result.statistics.rowsTranslated || 0}</td>
+                            <td>${result.statistics.rowsSkipped || 0}</td>
+                            <td>${result.statistics.jsonGenerated || 0}</td>
+                            <td>${result.statistics.errors?.length || 0}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+        
+        this.summaryContainer.appendChild(section);
     }
     
     /**
      * Add error details section
+     * UPDATED: Errors past the first 5 are listed in an expandable block, so every
+     * flagged row (QA, entity and back-translation flags) stays reachable
      * @param {Array} errors - Array of error messages
      */
     addErrorDetails(errors) {
+        const formatError = error => `<div class="error-item">• ${escapeHtml(this.sanitizeError(error))}</div>`;
         const errorSection = document.createElement('div');
         errorSection.className = 'error-details';
         errorSection.innerHTML = `
             <h4>Error Details</h4>
             <div class="error-list">
-                ${errors.slice(0, 5).map(error => 
-                    `<div class="error-item">• ${this.sanitizeError(error)}</div>`
-                ).join('')}
-                ${errors.length > 5 ? `<div class="error-item">... and ${errors.length - 5} more errors</div>` : ''}
+                ${errors.slice(0, 5).map(formatError).join('')}
+                ${errors.length > 5 ? `
+                    <details class="error-more">
+                        <summary>Show ${errors.length - 5} more errors</summary>
+                        ${errors.slice(5).map(formatError).join('')}
+                    </details>
+                ` : ''}
             </div>
         `;
         
         this.summaryContainer.appendChild(errorSection);
     }
     
+    /**
+     * Add warning details section
+     * NEW METHOD
+     * @param {Array} warnings - Array of warning messages
+     */
+    addWarningDetails(warnings) {
+        const warningSection = document.createElement('div');
+        warningSection.className = 'warning-details';
+        warningSection.innerHTML = `
+            <h4>Warnings</h4>
+            <div class="warning-list">
+                ${warnings.map(warning => 
+                    `<div class="warning-item">• ${escapeHtml(warning)}</div>`
+                ).join('')}
+            </div>
+        `;
+        
+        this.summaryContainer.appendChild(warningSection);
+    }
+    
     /**
      * Handle view sheet action
      */
@@ -238,6 +427,34 @@ export class ResultsDisplay {
         }
     }
     
+    /**
+     * Show the revert button while the run has an unreverted promotion
+     * NEW METHOD
+     */
+    updatePromotionAction() {
+        const canRevert = !!this.config.onRevertPromotion &&
+            (this.results?.promotions || []).length > 0 && !this.results.promotionReverted;
+        this.revertPromotionBtn.style.display = canRevert ? '' : 'none';
+    }
+    
+    /**
+     * Handle revert promotion button click
+     * NEW METHOD - the callback writes the previous old_ values back
+     */
+    async handleRevertPromotion() {
+        if (!this.config.onRevertPromotion || !this.results) return;
+        
+        this.revertPromotionBtn.setLoading(true);
+        const reverted = await this.config.onRevertPromotion(this.results.promotions);
+        this.revertPromotionBtn.setLoading(false);
+        
+        if (reverted) {
+            this.results.promotionReverted = true;
+            this.updateSummary();
+            this.updatePromotionAction();
+        }
+    }
+    
     /**
      * Format time duration
      * @param {number} ms - Duration in milliseconds
@@ -314,6 +531,7 @@ export class ResultsDisplay {
         this.results = null;
         this.statsContainer.innerHTML = '';
         this.summaryContainer.innerHTML = '';
+        this.revertPromotionBtn.style.display = 'none';
         this.hide();
     }
     
@@ -338,6 +556,12 @@ export function createResultsObject(translationResult, formData) {
         success: translationResult.success !== false,
         dataType: formData.dataType,
         language: formData.language || formData.targetLanguage,
+        languages: translationResult.languages,
+        perLanguage: translationResult.perLanguage,
+        provider: translationResult.provider || formData.apiService,
+        translationStyles: translationResult.translationStyles || {},
+        promotions: translationResult.promotions || [],
+        previewChanges: !!formData.previewChanges,
         sheetsUrl: formData.sheetsUrl,
         timestamp: new Date().toISOString(),
         statistics: {
@@ -345,7 +569,28 @@ export function createResultsObject(translationResult, formData) {
             rowsTranslated: translationResult.statistics?.rowsTranslated || 0,
             rowsWithManualOverride: translationResult.statistics?.rowsWithManualOverride || 0,
             jsonGenerated: translationResult.statistics?.jsonGenerated || 0,
+            memoryHits: translationResult.statistics?.memoryHits || 0,
+            namesTransliterated: translationResult.statistics?.namesTransliterated || 0,
+            dictionaryHits: translationResult.statistics?.dictionaryHits || 0,
+            rowsFlaggedByQA: translationResult.statistics?.rowsFlaggedByQA || 0,
+            rowsFixedByRetry: translationResult.statistics?.rowsFixedByRetry || 0,
+            rowsWithEntityMismatch: translationResult.statistics?.rowsWithEntityMismatch || 0,
+            rowsBlocked: translationResult.statistics?.rowsBlocked || 0,
+            rowsRepaired: translationResult.statistics?.rowsRepaired || 0,
+            rowsFromPivot: translationResult.statistics?.rowsFromPivot || 0,
+            rowsPromoted: translationResult.statistics?.rowsPromoted || 0,
+            rowsVerified: translationResult.statistics?.rowsVerified || 0,
+            similarityTotal: translationResult.statistics?.similarityTotal || 0,
+            rowsBelowSimilarity: translationResult.statistics?.rowsBelowSimilarity || 0,
+            rowsFromCheckpoint: translationResult.statistics?.rowsFromCheckpoint || 0,
+            fieldsKept: translationResult.statistics?.fieldsKept || 0,
+            charactersSaved: translationResult.statistics?.charactersSaved || 0,
+            estimatedCharacters: translationResult.statistics?.estimatedCharacters || 0,
+            rowsDeferredForQuota: translationResult.statistics?.rowsDeferredForQuota || 0,
+            rowsPreviewed: translationResult.statistics?.rowsPreviewed || 0,
+            rowsApproved: translationResult.statistics?.rowsApproved || 0,
             errors: translationResult.statistics?.errors || [],
+            warnings: translationResult.statistics?.warnings || [],
             processingTime: endTime - startTime
         }
     };
@@ -190,6 +190,58 @@ export const Input = {
             ...config,
             type: 'password'
         });
+    },
+    
+    /**
+     * Create a checkbox with an inline label
+     */
+    checkbox: (config) => {
+        const defaults = {
+            checked: false,
+            disabled: false
+        };
+        
+        const settings = { ...defaults, ...config };
+        
+        // Container
+        const container = document.createElement('div');
+        container.className = 'form-group';
+        
+        // Label wraps the checkbox
+        const label = document.createElement('label');
+        label.className = 'checkbox-label';
+        
+        const input = document.createElement('input');
+        input.type = 'checkbox';
+        input.checked = settings.checked;
+        input.disabled = settings.disabled;
+        
+        if (settings.id) input.id = settings.id;
+        if (settings.name) input.name = settings.name;
+        if (settings.onChange) input.addEventListener('change', settings.onChange);
+        
+        const span = document.createElement('span');
+        span.textContent = settings.label || '';
+        
+        label.appendChild(input);
+        label.appendChild(span);
+        container.appendChild(label);
+        
+        // Help text
+        if (settings.helpText) {
+            const helpText = document.createElement('small');
+            helpText.className = 'help-text';
+            helpText.textContent = settings.helpText;
+            container.appendChild(helpText);
+        }
+        
+        return {
+            container,
+            input,
+            getValue: () => input.checked,
+            setValue: (checked) => { input.checked = !!checked; },
+            setDisabled: (disabled) => { input.disabled = disabled; }
+        };
     }
 };
 
@@ -0,0 +1,171 @@
+// File path: js/services/checkpoint-store.js
+// Checkpoint Store Module - Saves translated batches so interrupted runs can resume
+import { APP_CONFIG } from '../../config/config.js';
+import { IDBStore } from '../utils/idb-store.js';
+import { hashString } from '../utils/text-utils.js';
+
+/**
+ * Checkpoint Store
+ * Keeps one record per unfinished run (spreadsheet, tab, data type, language)
+ * in IndexedDB. Each completed batch adds its row results; the record is
+ * removed once the run has written everything to the sheet.
+ * All methods degrade to no-ops when IndexedDB is unavailable.
+ */
+export class CheckpointStore {
+    constructor() {
+        this.store = IDBStore.isSupported()
+            ? new IDBStore(APP_CONFIG.CHECKPOINTS.DB_NAME, APP_CONFIG.CHECKPOINTS.STORE_NAME)
+            : null;
+        this.active = new Map(); // Records of runs in progress, by key
+    }
+
+    /**
+     * Build the checkpoint key of a run
+     * @param {string} spreadsheetId - Spreadsheet ID
+     * @param {string} sheetName - Sheet tab
+     * @param {string} dataType - 'doctor' or 'hospital'
+     * @param {string} language - Target language key
+     * @returns {string}
+     */
+    createKey(spreadsheetId, sheetName, dataType, language) {
+        return `${spreadsheetId}|${sheetName}|${dataType}|${language}`;
+    }
+
+    /**
+     * Hash the source fields of a row (Korean, or the pivot source for rows without Korean)
+     * A saved result is only reused while its source text is unchanged
+     * @param {Object} row - Parsed row
+     * @param {string} dataType - Data type
+     * @returns {string}
+     */
+    static hashSource(row, dataType) {
+        const fields = APP_CONFIG.TRANSLATION.FIELDS[dataType.toUpperCase()];
+        const texts = fields.map(field => (row.pivotSource ? row.pivotSource[field] : row[`kr_${field}`]) || '');
+        return hashString(texts.join('\u0000'));
+    }
+
+    /**
+     * Find the unfinished run for a key
+     * @param {string} key - Checkpoint key
+     * @returns {Promise<Object|null>} - Checkpoint record
+     */
+    async find(key) {
+        if (!this.store) return null;
+
+        try {
+            return (await this.store.get(key)) || null;
+        } catch (error) {
+            console.warn('Checkpoint lookup failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * List all unfinished runs
+     * @returns {Promise<Array<Object>>}
+     */
+    async listUnfinished() {
+        if (!this.store) return [];
+
+        try {
+            return await this.store.getAll();
+        } catch (error) {
+            console.warn('Failed to list checkpoints:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Start checkpointing a run, continuing an existing record when resuming
+     * @param {string} key - Checkpoint key
+     * @param {Object} meta - { spreadsheetId, sheetName, dataType, language, provider }
+     * @param {Object|null} resumeFrom - Existing record to continue
+     */
+    begin(key, meta, resumeFrom = null) {
+        const now = new Date().toISOString();
+        this.active.set(key, resumeFrom
+            ? { ...resumeFrom, updatedAt: now }
+            : { key, ...meta, startedAt: now, updatedAt: now, completedBatches: 0, rows: {} });
+    }
+
+    /**
+     * Save the results of a completed batch
+     * @param {string} key - Checkpoint key
+     * @param {Array} batchResults - Translation results of the batch
+     * @param {Map} rowsById - Row id -> parsed row (for source hashes)
+     */
+    async saveBatch(key, batchResults, rowsById) {
+        const record = this.active.get(key);
+        if (!record || !this.store) return;
+
+        const dataType = record.dataType;
+        batchResults.filter(result => result.success).forEach(result => {
+            const row = rowsById.get(result.id);
+            if (!row) return;
+            record.rows[result.id] = {
+                rowIndex: result.rowIndex,
+                sourceHash: CheckpointStore.hashSource(row, dataType),
+                translated: result.translated
+            };
+        });
+        record.completedBatches++;
+        record.updatedAt = new Date().toISOString();
+
+        try {
+            await this.store.put(record);
+        } catch (error) {
+            console.warn('Failed to save checkpoint:', error);
+        }
+    }
+
+    /**
+     * Get saved translations that still match the sheet
+     * @param {Object} record - Checkpoint record
+     * @param {Array} rows - Rows about to be translated
+     * @returns {Map<string, Object>} - Row id -> translated fields
+     */
+    getRestorableResults(record, rows) {
+        const restorable = new Map();
+        if (!record) return restorable;
+
+        rows.forEach(row => {
+            const saved = record.rows[row.id];
+            if (saved && saved.sourceHash === CheckpointStore.hashSource(row, record.dataType)) {
+                restorable.set(row.id, saved.translated);
+            }
+        });
+
+        return restorable;
+    }
+
+    /**
+     * Remove a run's checkpoint (run finished or discarded)
+     * @param {string} key - Checkpoint key
+     */
+    async clear(key) {
+        this.active.delete(key);
+        if (!this.store) return;
+
+        try {
+            await this.store.delete(key);
+        } catch (error) {
+            console.warn('Failed to remove checkpoint:', error);
+        }
+    }
+}
+
+/**
+ * Singleton instance
+ */
+let checkpointInstance = null;
+
+/**
+ * Get or create checkpoint store instance
+ * @returns {CheckpointStore} - Store instance
+ */
+export function getCheckpointStore() {
+    if (!checkpointInstance) {
+        checkpointInstance = new CheckpointStore();
+    }
+    return checkpointInstance;
+}
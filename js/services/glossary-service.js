@@ -0,0 +1,103 @@
+// File path: js/services/glossary-service.js
+// Glossary Service Module - Keeps DeepL glossaries in sync with the glossary tab
+import { APP_CONFIG } from '../../config/config.js';
+import { SheetsParser } from '../utils/sheets-parser.js';
+import { hashString } from '../utils/text-utils.js';
+
+/**
+ * Glossary Service
+ * Reads Korean -> target term pairs from the spreadsheet's glossary tab
+ * and creates or replaces the matching provider glossary.
+ *
+ * DeepL glossaries cannot be edited in place, so the content hash is part of
+ * the glossary name: an unchanged tab reuses the existing glossary, a changed
+ * tab replaces it.
+ */
+export class GlossaryService {
+    /**
+     * @param {TranslationProvider} provider - Provider with glossary support
+     */
+    constructor(provider) {
+        this.provider = provider;
+    }
+
+    /**
+     * Extract glossary entries for one language
+     * @param {Object} sheetData - Raw glossary tab data
+     * @param {string} language - Target language key
+     * @returns {Array<Array<string>>} - [source, target] pairs, sorted by source
+     */
+    getEntries(sheetData, language) {
+        const lookup = SheetsParser.parseLookupSheet(sheetData, APP_CONFIG.GLOSSARY.SOURCE_HEADERS);
+        const entries = [];
+
+        lookup.forEach((values, source) => {
+            // Tabs and line breaks are not allowed inside TSV glossary entries
+            const term = (values[language] || '').replace(/[\t\r\n]+/g, ' ').trim();
+            const key = source.replace(/[\t\r\n]+/g, ' ').trim();
+            if (key && term) {
+                entries.push([key, term]);
+            }
+        });
+
+        return entries.sort((a, b) => a[0].localeCompare(b[0]));
+    }
+
+    /**
+     * Build the glossary name for a spreadsheet, language and entry set
+     * @param {string} spreadsheetId - Spreadsheet ID
+     * @param {string} language - Target language key
+     * @param {Array} entries - Glossary entries
+     * @returns {Object} - { prefix, name }
+     */
+    buildName(spreadsheetId, language, entries) {
+        const prefix = `${APP_CONFIG.GLOSSARY.NAME_PREFIX}-${spreadsheetId}-ko-${language}-`;
+        const hash = hashString(entries.map(entry => entry.join('\t')).join('\n'));
+        return { prefix, name: `${prefix}${hash}` };
+    }
+
+    /**
+     * Create or update the provider glossary from the glossary tab
+     * @param {Object} sheetData - Raw glossary tab data
+     * @param {string} spreadsheetId - Spreadsheet ID
+     * @param {string} language - Target language key
+     * @returns {Promise<Object>} - { glossaryId, entryCount, created }
+     */
+    async sync(sheetData, spreadsheetId, language) {
+        if (!this.provider.supportsGlossaries()) {
+            return { glossaryId: null, entryCount: 0, created: false };
+        }
+
+        const entries = this.getEntries(sheetData, language);
+        const { prefix, name } = this.buildName(spreadsheetId, language, entries);
+        const existing = (await this.provider.listGlossaries())
+            .filter(glossary => glossary.name && glossary.name.startsWith(prefix));
+
+        // Reuse the glossary if the tab has not changed
+        const current = existing.find(glossary => glossary.name === name);
+        if (current) {
+            return { glossaryId: current.glossary_id, entryCount: entries.length, created: false };
+        }
+
+        // Remove outdated versions of this glossary
+        for (const glossary of existing) {
+            await this.provider.deleteGlossary(glossary.glossary_id);
+        }
+
+        if (entries.length === 0) {
+            return { glossaryId: null, entryCount: 0, created: false };
+        }
+
+        const glossary = await this.provider.createGlossary(name, language, entries);
+        return { glossaryId: glossary.glossary_id, entryCount: entries.length, created: true };
+    }
+}
+
+/**
+ * Factory function to create glossary service
+ * @param {TranslationProvider} provider - Translation provider
+ * @returns {GlossaryService} - Service instance
+ */
+export function createGlossaryService(provider) {
+    return new GlossaryService(provider);
+}
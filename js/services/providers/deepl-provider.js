@@ -0,0 +1,193 @@
+// File path: js/services/providers/deepl-provider.js
+// DeepL Provider - DeepL API v2 translation engine
+import { APP_CONFIG } from '../../../config/config.js';
+import { TranslationProvider } from './translation-provider.js';
+
+/**
+ * DeepL Provider
+ * Sends form-encoded batches to the DeepL /translate endpoint
+ */
+export class DeepLProvider extends TranslationProvider {
+    constructor(apiKey, options = {}) {
+        super('deepl', apiKey, options);
+    }
+
+    getDefaultBaseUrl() {
+        return APP_CONFIG.DEEPL_API.BASE_URL;
+    }
+
+    /**
+     * Authorization headers for DeepL requests
+     * @returns {Object}
+     */
+    getHeaders() {
+        return {
+            'Authorization': `DeepL-Auth-Key ${this.apiKey}`
+        };
+    }
+
+    /**
+     * Translate texts with DeepL
+     * @param {Array<string>} texts - Source texts (Korean unless options.sourceLanguage is set)
+     * @param {string} targetLanguage - Target language key
+     * @param {Object} options - { sourceLanguage, glossaryId, formality, context, tagHandling, splittingTags, signal }
+     * @returns {Promise<Array<string>>} - Translated texts
+     */
+    async translate(texts, targetLanguage, options = {}) {
+        const params = new URLSearchParams();
+        texts.forEach(text => {
+            params.append('text', text);
+        });
+        params.append('target_lang', this.getLanguageCode(targetLanguage));
+        params.append('source_lang', this.getSourceLanguageCode(options.sourceLanguage));
+        
+        if (options.glossaryId) {
+            params.append('glossary_id', options.glossaryId);
+        }
+
+        if (options.formality && options.formality !== 'default') {
+            params.append('formality', options.formality);
+        }
+
+        if (options.context) {
+            params.append('context', options.context);
+        }
+
+        if (options.tagHandling) {
+            params.append('tag_handling', options.tagHandling);
+            if (options.splittingTags) {
+                params.append('splitting_tags', options.splittingTags);
+            }
+        }
+
+        const data = await this.fetchJSON(`${this.baseUrl}/translate`, {
+            method: 'POST',
+            headers: {
+                ...this.getHeaders(),
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: params.toString(),
+            signal: options.signal
+        });
+
+        return data.translations.map(t => t.text);
+    }
+
+    /**
+     * DeepL returns 456 when the character quota is used up; retrying cannot help
+     * @param {Response} response - fetch response
+     * @param {Object} body - Parsed error body
+     * @returns {Error}
+     */
+    createHttpError(response, body) {
+        if (response.status === 456) {
+            const error = new Error('DeepL character quota exceeded (456). Translation stopped; raise the quota or wait for the next billing period.');
+            error.status = 456;
+            error.fatal = true;
+            return error;
+        }
+        return super.createHttpError(response, body);
+    }
+
+    /**
+     * Bytes a text adds to the form-encoded body ("text=..." plus the "&" separator)
+     * @param {string} text - Source text
+     * @returns {number}
+     */
+    getRequestSize(text) {
+        return new URLSearchParams({ text }).toString().length + 1;
+    }
+
+    supportsGlossaries() {
+        return true;
+    }
+
+    supportsTagHandling() {
+        return true;
+    }
+
+    /**
+     * Source languages have no regional variants on DeepL (EN-US -> EN, ZH-HANS -> ZH)
+     * @param {string} language - 'ko' or a LANGUAGES key
+     * @returns {string}
+     */
+    getSourceLanguageCode(language) {
+        return super.getSourceLanguageCode(language).split('-')[0];
+    }
+
+    /**
+     * Glossaries use bare language codes (EN-US -> en)
+     * @param {string} language - Language key
+     * @returns {string}
+     */
+    getGlossaryLanguageCode(language) {
+        return this.getLanguageCode(language).split('-')[0].toLowerCase();
+    }
+
+    /**
+     * List glossaries on this DeepL account
+     * @returns {Promise<Array>} - Glossary metadata objects
+     */
+    async listGlossaries() {
+        const data = await this.fetchJSON(`${this.baseUrl}/glossaries`, {
+            headers: this.getHeaders()
+        });
+        return data.glossaries || [];
+    }
+
+    /**
+     * Create a Korean -> target glossary
+     * @param {string} name - Glossary name
+     * @param {string} targetLanguage - Target language key
+     * @param {Array<Array<string>>} entries - [source, target] pairs
+     * @returns {Promise<Object>} - Created glossary metadata
+     */
+    async createGlossary(name, targetLanguage, entries) {
+        const params = new URLSearchParams();
+        params.append('name', name);
+        params.append('source_lang', 'ko');
+        params.append('target_lang', this.getGlossaryLanguageCode(targetLanguage));
+        params.append('entries', entries.map(([source, target]) => `${source}\t${target}`).join('\n'));
+        params.append('entries_format', 'tsv');
+
+        return this.fetchJSON(`${this.baseUrl}/glossaries`, {
+            method: 'POST',
+            headers: {
+                ...this.getHeaders(),
+                'Content-Type': 'application/x-www-form-urlencoded'
+            },
+            body: params.toString()
+        });
+    }
+
+    /**
+     * Delete a glossary
+     * @param {string} glossaryId - Glossary id
+     */
+    async deleteGlossary(glossaryId) {
+        await this.request(`${this.baseUrl}/glossaries/${encodeURIComponent(glossaryId)}`, {
+            method: 'DELETE',
+            headers: this.getHeaders()
+        });
+    }
+
+    /**
+     * Get DeepL character usage
+     * @returns {Promise<Object|null>} - { characterCount, characterLimit }
+     */
+    async getUsage() {
+        try {
+            const data = await this.fetchJSON(`${this.baseUrl}/usage`, {
+                headers: this.getHeaders()
+            });
+
+            return {
+                characterCount: data.character_count,
+                characterLimit: data.character_limit
+            };
+        } catch (error) {
+            console.error('Failed to get DeepL usage:', error);
+            return null;
+        }
+    }
+}
@@ -0,0 +1,45 @@
+// File path: js/services/providers/google-provider.js
+// Google Provider - Google Cloud Translation API (v2, API key auth)
+import { TranslationProvider } from './translation-provider.js';
+
+/**
+ * Google Cloud Translation Provider
+ * Sends JSON requests to the v2 REST endpoint, chunked by MAX_SEGMENTS
+ */
+export class GoogleProvider extends TranslationProvider {
+    constructor(apiKey, options = {}) {
+        super('google', apiKey, options);
+    }
+
+    /**
+     * Translate texts with Google Cloud Translation
+     * @param {Array<string>} texts - Source texts (Korean unless options.sourceLanguage is set)
+     * @param {string} targetLanguage - Target language key
+     * @param {Object} options - { sourceLanguage, signal }
+     * @returns {Promise<Array<string>>} - Translated texts
+     */
+    async translate(texts, targetLanguage, options = {}) {
+        const target = this.getLanguageCode(targetLanguage);
+        const source = this.getSourceLanguageCode(options.sourceLanguage);
+        const maxSegments = this.settings.MAX_SEGMENTS || texts.length;
+        const results = [];
+
+        for (let i = 0; i < texts.length; i += maxSegments) {
+            const data = await this.fetchJSON(`${this.baseUrl}?key=${encodeURIComponent(this.apiKey)}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    q: texts.slice(i, i + maxSegments),
+                    source: source,
+                    target: target,
+                    format: 'text'
+                }),
+                signal: options.signal
+            });
+
+            results.push(...data.data.translations.map(t => t.translatedText));
+        }
+
+        return results;
+    }
+}
@@ -0,0 +1,97 @@
+// File path: js/services/providers/llm-provider.js
+// LLM Provider - Any OpenAI-compatible /chat/completions endpoint
+import { TranslationProvider } from './translation-provider.js';
+
+// Prompt wording for the formality values of TRANSLATION_STYLE
+const FORMALITY_INSTRUCTIONS = {
+    more: 'Use a formal, polite register (for Japanese: です/ます style).',
+    prefer_more: 'Use a formal, polite register (for Japanese: です/ます style).',
+    less: 'Use a casual, informal register.',
+    prefer_less: 'Use a casual, informal register.'
+};
+
+/**
+ * OpenAI-compatible LLM Provider
+ * Asks the model to return a JSON array with one translation per input text
+ */
+export class LLMProvider extends TranslationProvider {
+    constructor(apiKey, options = {}) {
+        super('openai', apiKey, options);
+        this.model = options.model || this.settings.MODEL;
+    }
+
+    /**
+     * Build the system prompt for a target language
+     * @param {string} languageName - Human-readable target language
+     * @param {Object} style - { formality, context } from TRANSLATION_STYLE or the form
+     * @param {string} sourceName - Human-readable source language
+     * @returns {string}
+     */
+    buildPrompt(languageName, style = {}, sourceName = 'Korean') {
+        return [
+            `You translate ${sourceName} medical beauty content (doctors and hospitals) into ${languageName}.`,
+            style.context ? `The texts are: ${style.context}.` : '',
+            FORMALITY_INSTRUCTIONS[style.formality] || '',
+            `The user sends a JSON array of ${sourceName} strings.`,
+            'Reply with only a JSON array of translated strings: same length, same order, no commentary.'
+        ].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Translate texts with the configured chat model
+     * @param {Array<string>} texts - Source texts (Korean unless options.sourceLanguage is set)
+     * @param {string} targetLanguage - Target language key
+     * @param {Object} options - { sourceLanguage, formality, context, signal }
+     * @returns {Promise<Array<string>>} - Translated texts
+     */
+    async translate(texts, targetLanguage, options = {}) {
+        const prompt = this.buildPrompt(
+            this.getLanguageCode(targetLanguage),
+            options,
+            this.getSourceLanguageCode(options.sourceLanguage)
+        );
+
+        const data = await this.fetchJSON(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${this.apiKey}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                model: this.model,
+                temperature: 0,
+                messages: [
+                    { role: 'system', content: prompt },
+                    { role: 'user', content: JSON.stringify(texts) }
+                ]
+            }),
+            signal: options.signal
+        });
+
+        return this.parseTranslations(data.choices?.[0]?.message?.content, texts.length);
+    }
+
+    /**
+     * Parse the model reply into an array of strings
+     * @param {string} content - Raw model output
+     * @param {number} expectedLength - Number of input texts
+     * @returns {Array<string>}
+     */
+    parseTranslations(content, expectedLength) {
+        // Models sometimes wrap JSON in a markdown code fence
+        const cleaned = (content || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+        let parsed;
+        try {
+            parsed = JSON.parse(cleaned);
+        } catch (error) {
+            throw new Error(`${this.name} returned invalid JSON`);
+        }
+
+        if (!Array.isArray(parsed) || parsed.length !== expectedLength) {
+            throw new Error(`${this.name} returned ${Array.isArray(parsed) ? parsed.length : 0} translations, expected ${expectedLength}`);
+        }
+
+        return parsed.map(text => String(text ?? ''));
+    }
+}
@@ -0,0 +1,53 @@
+// File path: js/services/providers/papago-provider.js
+// Papago Provider - Naver Cloud Papago NMT
+import { TranslationProvider } from './translation-provider.js';
+
+/**
+ * Papago Provider
+ * Papago translates one text per request, so batches are sent sequentially.
+ * The API key is entered as "clientId:clientSecret".
+ */
+export class PapagoProvider extends TranslationProvider {
+    constructor(apiKey, options = {}) {
+        super('papago', apiKey, options);
+
+        const separator = (apiKey || '').indexOf(':');
+        this.clientId = separator >= 0 ? apiKey.slice(0, separator) : apiKey;
+        this.clientSecret = separator >= 0 ? apiKey.slice(separator + 1) : '';
+    }
+
+    /**
+     * Translate texts with Papago
+     * @param {Array<string>} texts - Source texts (Korean unless options.sourceLanguage is set)
+     * @param {string} targetLanguage - Target language key
+     * @param {Object} options - { sourceLanguage, signal }
+     * @returns {Promise<Array<string>>} - Translated texts
+     */
+    async translate(texts, targetLanguage, options = {}) {
+        const target = this.getLanguageCode(targetLanguage);
+        const source = this.getSourceLanguageCode(options.sourceLanguage);
+        const results = [];
+
+        for (const text of texts) {
+            const params = new URLSearchParams();
+            params.append('source', source);
+            params.append('target', target);
+            params.append('text', text);
+
+            const data = await this.fetchJSON(`${this.baseUrl}/translation`, {
+                method: 'POST',
+                headers: {
+                    'X-NCP-APIGW-API-KEY-ID': this.clientId,
+                    'X-NCP-APIGW-API-KEY': this.clientSecret,
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                },
+                body: params.toString(),
+                signal: options.signal
+            });
+
+            results.push(data.message.result.translatedText);
+        }
+
+        return results;
+    }
+}
@@ -0,0 +1,70 @@
+// File path: js/services/providers/provider-registry.js
+// Provider Registry - Lookup table of available translation engines
+import { APP_CONFIG } from '../../../config/config.js';
+import { DeepLProvider } from './deepl-provider.js';
+import { GoogleProvider } from './google-provider.js';
+import { PapagoProvider } from './papago-provider.js';
+import { LLMProvider } from './llm-provider.js';
+
+/**
+ * Provider Registry
+ * Maps provider ids to provider classes. The form's service selector
+ * is filled from list(), and TranslationService instances are created via create().
+ */
+export const ProviderRegistry = {
+    _providers: new Map(),
+
+    /**
+     * Register a provider class
+     * @param {string} id - Provider id
+     * @param {Function} ProviderClass - Class extending TranslationProvider
+     */
+    register(id, ProviderClass) {
+        this._providers.set(id, ProviderClass);
+    },
+
+    /**
+     * Check if a provider is registered
+     * @param {string} id - Provider id
+     * @returns {boolean}
+     */
+    has(id) {
+        return this._providers.has(id);
+    },
+
+    /**
+     * List registered providers for display
+     * @returns {Array<Object>} - [{ id, name, keyLabel }]
+     */
+    list() {
+        return Array.from(this._providers.keys()).map(id => {
+            const settings = APP_CONFIG.TRANSLATION_PROVIDERS[id] || {};
+            return {
+                id,
+                name: settings.NAME || id,
+                keyLabel: settings.KEY_LABEL || 'API Key'
+            };
+        });
+    },
+
+    /**
+     * Create a provider instance
+     * @param {string} id - Provider id
+     * @param {string} apiKey - API key
+     * @param {Object} options - { baseUrl, model }
+     * @returns {TranslationProvider}
+     */
+    create(id, apiKey, options = {}) {
+        const ProviderClass = this._providers.get(id);
+        if (!ProviderClass) {
+            throw new Error(`Unknown translation provider: ${id}`);
+        }
+        return new ProviderClass(apiKey, options);
+    }
+};
+
+// Built-in providers
+ProviderRegistry.register('deepl', DeepLProvider);
+ProviderRegistry.register('google', GoogleProvider);
+ProviderRegistry.register('papago', PapagoProvider);
+ProviderRegistry.register('openai', LLMProvider);
@@ -0,0 +1,307 @@
+// File path: js/services/providers/translation-provider.js
+// Translation Provider Base - Common interface for all translation engines
+import { APP_CONFIG } from '../../../config/config.js';
+import { CancellationError } from '../../utils/cancellation.js';
+import { LanguageRegistry } from '../../utils/language-registry.js';
+
+/**
+ * Translation Provider
+ * Base class every translation engine extends. Subclasses implement
+ * translate() and may override getUsage() and testConnection().
+ */
+export class TranslationProvider {
+    /**
+     * @param {string} id - Provider id (key in APP_CONFIG.TRANSLATION_PROVIDERS)
+     * @param {string} apiKey - Provider API key
+     * @param {Object} options - { baseUrl, model } overrides
+     */
+    constructor(id, apiKey, options = {}) {
+        this.id = id;
+        this.apiKey = apiKey;
+        this.settings = APP_CONFIG.TRANSLATION_PROVIDERS[id] || {};
+        this.name = this.settings.NAME || id;
+        this.baseUrl = (options.baseUrl || this.getDefaultBaseUrl()).replace(/\/+$/, '');
+        this.timeout = this.settings.TIMEOUT || APP_CONFIG.DEEPL_API.TIMEOUT;
+        this.maxRetries = this.settings.MAX_RETRIES ?? APP_CONFIG.DEEPL_API.MAX_RETRIES;
+    }
+
+    /**
+     * Default API base URL when no override is given
+     * @returns {string}
+     */
+    getDefaultBaseUrl() {
+        return this.settings.BASE_URL || '';
+    }
+
+    /**
+     * Translate Korean texts into the target language
+     * @param {Array<string>} texts - Source texts
+     * @param {string} targetLanguage - Target language key
+     * @param {Object} options - Provider-specific options plus { sourceLanguage } (default Korean)
+     *                           and { signal } to abort the request
+     * @returns {Promise<Array<string>>} - Translated texts in the same order
+     */
+    async translate(texts, targetLanguage, options = {}) {
+        throw new Error(`${this.name} provider does not implement translate()`);
+    }
+
+    /**
+     * Get character usage for the current billing period
+     * @returns {Promise<Object|null>} - { characterCount, characterLimit } or null if unsupported
+     */
+    async getUsage() {
+        return null;
+    }
+
+    /**
+     * Estimate the cost of translating a number of characters
+     * @param {number} characters - Source characters
+     * @returns {number|null} - Cost in USD, or null if the provider has no per-character price
+     */
+    estimateCost(characters) {
+        const price = this.settings.COST_PER_MILLION_CHARS;
+        return price ? (characters / 1000000) * price : null;
+    }
+
+    /**
+     * Test API connection with a short greeting
+     * @returns {Promise<boolean>} - Connection status
+     */
+    async testConnection() {
+        try {
+            const translations = await this.translate(['안녕하세요'], 'en');
+            return translations.length > 0 && translations[0].toLowerCase().includes('hello');
+        } catch (error) {
+            console.error(`${this.name} connection test failed:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Check whether this provider can translate into a language
+     * UPDATED: Korean is accepted too, for the back-translation check
+     * @param {string} language - Language key or 'ko'
+     * @returns {boolean}
+     */
+    supportsLanguage(language) {
+        if (language === APP_CONFIG.SOURCE_LANGUAGE.KEY) {
+            return !!APP_CONFIG.SOURCE_LANGUAGE.PROVIDERS[this.id];
+        }
+        return !!LanguageRegistry.getProviderCode(language, this.id);
+    }
+
+    /**
+     * Map a language key to the provider's own language code (APP_CONFIG.LANGUAGES,
+     * or SOURCE_LANGUAGE.PROVIDERS for Korean)
+     * @param {string} language - Language key or 'ko'
+     * @returns {string} - Provider language code
+     */
+    getLanguageCode(language) {
+        if (!this.supportsLanguage(language)) {
+            throw new Error(`${this.name} does not support language: ${language}`);
+        }
+        if (language === APP_CONFIG.SOURCE_LANGUAGE.KEY) {
+            return APP_CONFIG.SOURCE_LANGUAGE.PROVIDERS[this.id];
+        }
+        return LanguageRegistry.getProviderCode(language, this.id);
+    }
+
+    /**
+     * Map the source language to the provider's code
+     * Korean uses SOURCE_LANGUAGE.PROVIDERS; pivot sources use the target codes
+     * @param {string} language - 'ko' (default) or a LANGUAGES key
+     * @returns {string} - Provider language code
+     */
+    getSourceLanguageCode(language = APP_CONFIG.SOURCE_LANGUAGE.KEY) {
+        if (language === APP_CONFIG.SOURCE_LANGUAGE.KEY) {
+            return APP_CONFIG.SOURCE_LANGUAGE.PROVIDERS[this.id];
+        }
+        return this.getLanguageCode(language);
+    }
+
+    /**
+     * Largest request body the provider accepts (MAX_REQUEST_BYTES setting)
+     * @returns {number} - Bytes, or Infinity when the provider has no limit
+     */
+    getMaxRequestSize() {
+        return this.settings.MAX_REQUEST_BYTES || Infinity;
+    }
+
+    /**
+     * Bytes a text adds to a request body (UTF-8 by default)
+     * @param {string} text - Source text
+     * @returns {number}
+     */
+    getRequestSize(text) {
+        return new TextEncoder().encode(text).length;
+    }
+
+    /**
+     * Check whether this provider manages server-side glossaries
+     * @returns {boolean}
+     */
+    supportsGlossaries() {
+        return false;
+    }
+
+    /**
+     * Check whether translate() accepts { tagHandling: 'xml', splittingTags }
+     * so markup around each line comes back in place
+     * @returns {boolean}
+     */
+    supportsTagHandling() {
+        return false;
+    }
+
+    /**
+     * Send a request, retrying rate-limited (429) and server (5xx) errors
+     * with exponential backoff and jitter; Retry-After is honoured when present
+     * @param {string} url - Request URL
+     * @param {Object} options - fetch options; options.signal cancels the request
+     * @returns {Promise<Response>} - Successful response
+     */
+    async request(url, options = {}) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.send(url, options);
+            } catch (error) {
+                if (!error.retryable || attempt >= this.maxRetries) {
+                    throw error;
+                }
+
+                const delay = this.getRetryDelay(error, attempt);
+                console.warn(`${this.name} API error ${error.status}, retry ${attempt + 1}/${this.maxRetries} in ${delay}ms`);
+                await this.wait(delay, options.signal);
+            }
+        }
+    }
+
+    /**
+     * Send a single request with timeout and cancellation handling
+     * @param {string} url - Request URL
+     * @param {Object} options - fetch options; options.signal cancels the request
+     * @returns {Promise<Response>} - Successful response
+     */
+    async send(url, options = {}) {
+        const { signal, ...fetchOptions } = options;
+        if (signal?.aborted) {
+            throw new CancellationError();
+        }
+
+        // One controller for both the timeout and the caller's signal
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        const onAbort = () => controller.abort();
+        signal?.addEventListener('abort', onAbort);
+
+        try {
+            const response = await fetch(url, { ...fetchOptions, signal: controller.signal });
+
+            if (!response.ok) {
+                const body = await response.json().catch(() => ({}));
+                throw this.createHttpError(response, body);
+            }
+
+            return response;
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                if (signal?.aborted) {
+                    throw new CancellationError();
+                }
+                throw new Error(`${this.name} API request timed out`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Build the error for a non-OK response
+     * Sets status, retryable (429/5xx) and retryAfter (ms, from the Retry-After header).
+     * Subclasses may mark provider-specific statuses as fatal.
+     * @param {Response} response - fetch response
+     * @param {Object} body - Parsed error body (may be empty)
+     * @returns {Error}
+     */
+    createHttpError(response, body) {
+        const message = body.message || body.error?.message || body.errorMessage;
+        const error = new Error(message || `${this.name} API error: ${response.status}`);
+        error.status = response.status;
+        error.retryable = response.status === 429 || response.status >= 500;
+        error.retryAfter = this.parseRetryAfter(response.headers?.get('Retry-After'));
+        return error;
+    }
+
+    /**
+     * Parse a Retry-After header (seconds or HTTP date)
+     * @param {string|null} value - Header value
+     * @returns {number|null} - Delay in ms, or null if absent/invalid
+     */
+    parseRetryAfter(value) {
+        if (!value) return null;
+
+        const seconds = Number(value);
+        if (!Number.isNaN(seconds)) {
+            return Math.max(seconds * 1000, 0);
+        }
+
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+    }
+
+    /**
+     * Delay before the next retry: Retry-After if given, else exponential backoff with jitter
+     * @param {Error} error - Retryable error
+     * @param {number} attempt - Attempt number (0-based)
+     * @returns {number} - Delay in ms
+     */
+    getRetryDelay(error, attempt) {
+        const { RETRY_BASE_DELAY, RETRY_MAX_DELAY } = APP_CONFIG.DEEPL_API;
+
+        if (error.retryAfter !== null && error.retryAfter !== undefined) {
+            return Math.min(error.retryAfter, RETRY_MAX_DELAY);
+        }
+
+        const backoff = RETRY_BASE_DELAY * Math.pow(2, attempt);
+        const jitter = Math.random() * RETRY_BASE_DELAY;
+        return Math.round(Math.min(backoff + jitter, RETRY_MAX_DELAY));
+    }
+
+    /**
+     * Wait before a retry, stopping early if the run is cancelled
+     * @param {number} ms - Milliseconds
+     * @param {AbortSignal} signal - Cancellation signal
+     * @returns {Promise<void>}
+     */
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new CancellationError());
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new CancellationError());
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Fetch a JSON response
+     * @param {string} url - Request URL
+     * @param {Object} options - fetch options
+     * @returns {Promise<Object>} - Parsed JSON body
+     */
+    async fetchJSON(url, options = {}) {
+        const response = await this.request(url, options);
+        return response.json();
+    }
+}
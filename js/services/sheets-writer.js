@@ -1,12 +1,30 @@
 // File path: js/services/sheets-writer.js
 // Sheets Writer Module - Handles writing translations and JSON back to Google Sheets
 // UPDATED: Multi-language JSON support with new column positions
+// UPDATED: Column letters are derived from the parser's header column map
 import { APP_CONFIG } from '../../config/config.js';
+import { CancellationToken } from '../utils/cancellation.js';
+
+/**
+ * Convert a 0-based column index to an A1 column letter (0 -> A, 26 -> AA)
+ * @param {number} index - Column index
+ * @returns {string} - Column letter
+ */
+function columnIndexToLetter(index) {
+    let letter = '';
+    let n = index + 1;
+    while (n > 0) {
+        const remainder = (n - 1) % 26;
+        letter = String.fromCharCode(65 + remainder) + letter;
+        n = Math.floor((n - 1) / 26);
+    }
+    return letter;
+}
 
 /**
  * Sheets Writer Service
  * Manages all write operations to Google Sheets
- * Now writes to updated column positions (J, K, L)
+ * Target columns are located by header, so inserted helper columns are safe
  */
 export class SheetsWriter {
     constructor() {
@@ -28,148 +46,239 @@ export class SheetsWriter {
         return this.sheetsService;
     }
     
+    /**
+     * Derive column letters from a header column map
+     * NEW METHOD: replaces fixed COLUMN_LETTERS
+     * @param {Object} columnMap - Field name -> column index (from SheetsParser.buildColumnMap)
+     * @returns {Object} - Field name -> column letter
+     */
+    getColumnLetters(columnMap) {
+        if (!columnMap) {
+            throw new Error('Column map is required to write to the sheet');
+        }
+        
+        const letters = {};
+        Object.entries(columnMap).forEach(([field, index]) => {
+            letters[field] = columnIndexToLetter(index);
+        });
+        return letters;
+    }
+    
     /**
      * Write LLM translations to sheet
      * UPDATED: Handles skipped rows from translation service
+     * UPDATED: Writes in row chunks and stops before the next chunk when cancelled
+     * UPDATED: Writes back-translation scores to the optional qa_back_translation column
+     * UPDATED: Writes the source hashes of each translation to the optional source_hash column
      * @param {string} spreadsheetId - Google Sheets ID
      * @param {string} sheetName - Sheet name
      * @param {Array} translations - Translation results with row indices
      * @param {string} dataType - 'doctor' or 'hospital'
+     * @param {Object} columnMap - Header column map of the sheet
+     * @param {Object} options - { cancellationToken, onCommit(sheetRows) }
      * @returns {Promise<Object>} - Write result
      */
-    async writeLLMTranslations(spreadsheetId, sheetName, translations, dataType) {
+    async writeLLMTranslations(spreadsheetId, sheetName, translations, dataType, columnMap, options = {}) {
         if (!translations || translations.length === 0) {
-            return { success: true, updatedCells: 0, skippedRows: 0 };
+            return { success: true, updatedCells: 0, skippedRows: 0, committedRows: [] };
         }
         
         try {
-            const sheetsService = await this._getSheetsService();
-            const columnLetters = APP_CONFIG.COLUMN_LETTERS[dataType.toUpperCase()];
-            const updates = [];
+            const columnLetters = this.getColumnLetters(columnMap);
+            const contentKey = dataType === 'doctor' ? 'history' : 'description';
+            const contentColumn = columnLetters[`llm_${contentKey}`];
             
             // Separate translated and skipped rows
             const translatedRows = translations.filter(t => t.success && !t.skipped);
             const skippedRows = translations.filter(t => t.skipped);
             
-            // Group translations by column
-            const nameValues = [];
-            const contentValues = [];
-            const rowIndices = [];
-            
-            translatedRows.forEach(translation => {
-                const rowNumber = translation.rowIndex + 2; // +2 for header and 0-index
-                rowIndices.push(rowNumber);
+            const result = await this._writeInChunks(spreadsheetId, translatedRows, chunk => {
+                const rowIndices = chunk.map(translation => translation.rowIndex + 2); // +2 for header and 0-index
+                const nameValues = chunk.map(translation => [translation.translated.name || '']);
+                const contentValues = chunk.map(translation => [translation.translated[contentKey] || '']);
                 
-                nameValues.push([translation.translated.name || '']);
+                // For non-contiguous rows, we need individual updates
+                const updates = [
+                    ...this.createNonContiguousUpdates(sheetName, columnLetters.llm_name, rowIndices, nameValues),
+                    ...this.createNonContiguousUpdates(sheetName, contentColumn, rowIndices, contentValues)
+                ];
                 
-                if (dataType === 'doctor') {
-                    contentValues.push([translation.translated.history || '']);
-                } else {
-                    contentValues.push([translation.translated.description || '']);
+                // Source hashes, so the next run detects changes without old_ columns
+                const hashed = chunk.filter(translation => translation.sourceHashes);
+                if (columnLetters.source_hash && hashed.length > 0) {
+                    updates.push(...this.createNonContiguousUpdates(
+                        sheetName,
+                        columnLetters.source_hash,
+                        hashed.map(translation => translation.rowIndex + 2),
+                        hashed.map(translation => [JSON.stringify(translation.sourceHashes)])
+                    ));
                 }
-            });
-            
-            // Create batch updates for each column
-            if (nameValues.length > 0) {
-                // For non-contiguous rows, we need individual updates
-                const nameUpdates = this.createNonContiguousUpdates(
-                    sheetName,
-                    columnLetters.llm_name, // Now column J
-                    rowIndices,
-                    nameValues
-                );
-                updates.push(...nameUpdates);
                 
-                const contentColumn = dataType === 'doctor' 
-                    ? columnLetters.llm_history 
-                    : columnLetters.llm_description; // Now column K
-                    
-                const contentUpdates = this.createNonContiguousUpdates(
-                    sheetName,
-                    contentColumn,
-                    rowIndices,
-                    contentValues
-                );
-                updates.push(...contentUpdates);
-            }
-            
-            // Execute batch update
-            if (updates.length > 0) {
-                const result = await sheetsService.batchUpdate(spreadsheetId, updates);
-                return {
-                    success: true,
-                    updatedCells: result.totalUpdatedCells || updates.length * 2,
-                    updatedRows: translatedRows.length,
-                    skippedRows: skippedRows.length
-                };
-            }
+                // Back-translation scores, when the sheet has a QA column and the check ran
+                const scored = chunk.filter(translation => translation.backTranslation);
+                if (columnLetters.qa_back_translation && scored.length > 0) {
+                    updates.push(...this.createNonContiguousUpdates(
+                        sheetName,
+                        columnLetters.qa_back_translation,
+                        scored.map(translation => translation.rowIndex + 2),
+                        scored.map(translation => [this.formatBackTranslationScore(translation.backTranslation)])
+                    ));
+                }
+                
+                return updates;
+            }, options);
             
-            return { 
-                success: true, 
-                updatedCells: 0, 
-                updatedRows: 0,
-                skippedRows: skippedRows.length 
+            return {
+                success: true,
+                updatedCells: result.updatedCells,
+                updatedRows: result.committedRows.length,
+                skippedRows: skippedRows.length,
+                committedRows: result.committedRows
             };
             
         } catch (error) {
+            if (CancellationToken.isCancellation(error)) throw error;
             console.error('Failed to write LLM translations:', error);
             throw new Error(`Failed to write translations: ${error.message}`);
         }
     }
     
+    /**
+     * Cell text of a back-translation score
+     * @param {Object} backTranslation - { score, flagged }
+     * @returns {string} - e.g. "0.82", or "0.31 - review" below the threshold
+     */
+    formatBackTranslationScore(backTranslation) {
+        const score = backTranslation.score.toFixed(2);
+        return backTranslation.flagged ? `${score} - review` : score;
+    }
+    
     /**
      * Write JSON results to sheet
-     * UPDATED: Now writes to updated_json column (L)
+     * UPDATED: Now writes to updated_json column
+     * UPDATED: Writes in row chunks and stops before the next chunk when cancelled
      * @param {string} spreadsheetId - Google Sheets ID
      * @param {string} sheetName - Sheet name
      * @param {Array} jsonResults - JSON strings with row indices
      * @param {string} dataType - 'doctor' or 'hospital'
+     * @param {Object} columnMap - Header column map of the sheet
+     * @param {Object} options - { cancellationToken, onCommit(sheetRows) }
      * @returns {Promise<Object>} - Write result
      */
-    async writeJSONResults(spreadsheetId, sheetName, jsonResults, dataType) {
+    async writeJSONResults(spreadsheetId, sheetName, jsonResults, dataType, columnMap, options = {}) {
         if (!jsonResults || jsonResults.length === 0) {
-            return { success: true, updatedCells: 0 };
+            return { success: true, updatedCells: 0, committedRows: [] };
         }
         
         try {
-            const sheetsService = await this._getSheetsService();
-            const columnLetter = APP_CONFIG.COLUMN_LETTERS[dataType.toUpperCase()].updated_json; // Changed from json_result
-            const updates = [];
+            const columnLetter = this.getColumnLetters(columnMap).updated_json; // Changed from json_result
             
-            // Group JSON results
-            const jsonValues = [];
-            const rowIndices = [];
+            const result = await this._writeInChunks(spreadsheetId, jsonResults, chunk => {
+                const rowIndices = chunk.map(item => item.rowIndex + 2); // +2 for header and 0-index
+                const jsonValues = chunk.map(item => [item.json || item.updated_json]); // Support both property names
+                
+                // Create updates for non-contiguous rows
+                return this.createNonContiguousUpdates(sheetName, columnLetter, rowIndices, jsonValues);
+            }, options);
             
-            jsonResults.forEach(result => {
-                const rowNumber = result.rowIndex + 2; // +2 for header and 0-index
-                rowIndices.push(rowNumber);
-                jsonValues.push([result.json || result.updated_json]); // Support both property names
-            });
+            return {
+                success: true,
+                updatedCells: result.updatedCells,
+                updatedRows: result.committedRows.length,
+                committedRows: result.committedRows
+            };
             
-            // Create updates for non-contiguous rows
-            const jsonUpdates = this.createNonContiguousUpdates(
-                sheetName,
-                columnLetter, // Now column L
-                rowIndices,
-                jsonValues
-            );
-            updates.push(...jsonUpdates);
+        } catch (error) {
+            if (CancellationToken.isCancellation(error)) throw error;
+            console.error('Failed to write JSON results:', error);
+            throw new Error(`Failed to write JSON results: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Write row results in chunks of WRITE_CONFIG.BATCH_SIZE rows
+     * Each chunk is a single batchUpdate, so its rows are committed together;
+     * the cancellation token is checked before every chunk.
+     * @param {string} spreadsheetId - Google Sheets ID
+     * @param {Array} items - Results with rowIndex
+     * @param {Function} buildUpdates - Chunk of items -> update objects
+     * @param {Object} options - { cancellationToken, onCommit(sheetRows) }
+     * @returns {Promise<Object>} - { updatedCells, committedRows }
+     */
+    async _writeInChunks(spreadsheetId, items, buildUpdates, options = {}) {
+        const sheetsService = await this._getSheetsService();
+        const chunkSize = APP_CONFIG.WRITE_CONFIG.BATCH_SIZE;
+        const committedRows = [];
+        let updatedCells = 0;
+        
+        for (let i = 0; i < items.length; i += chunkSize) {
+            options.cancellationToken?.throwIfCancelled();
             
-            // Execute batch update
-            if (updates.length > 0) {
-                const result = await sheetsService.batchUpdate(spreadsheetId, updates);
-                return {
-                    success: true,
-                    updatedCells: result.totalUpdatedCells || updates.length,
-                    updatedRows: jsonResults.length
-                };
+            const chunk = items.slice(i, i + chunkSize);
+            const updates = buildUpdates(chunk);
+            const result = await sheetsService.batchUpdate(spreadsheetId, updates);
+            updatedCells += result.totalUpdatedCells || updates.length;
+            
+            const sheetRows = chunk.map(item => item.rowIndex + 2);
+            committedRows.push(...sheetRows);
+            if (options.onCommit) {
+                options.onCommit(sheetRows);
             }
             
-            return { success: true, updatedCells: 0 };
+            // Add delay between chunks to avoid rate limiting
+            if (i + chunkSize < items.length) {
+                await this.delay(APP_CONFIG.WRITE_CONFIG.WRITE_DELAY);
+            }
+        }
+        
+        return { updatedCells, committedRows };
+    }
+    
+    /**
+     * Write arbitrary field values by header name
+     * NEW METHOD - Used to promote kr_* into old_* (and to revert that); fields without
+     * a column in the sheet are ignored
+     * @param {string} spreadsheetId - Google Sheets ID
+     * @param {string} sheetName - Sheet name
+     * @param {Array} rows - { rowIndex, values: { field: value } }
+     * @param {Object} columnMap - Header column map of the sheet
+     * @param {Object} options - { cancellationToken, onCommit(sheetRows) }
+     * @returns {Promise<Object>} - Write result
+     */
+    async writeFieldValues(spreadsheetId, sheetName, rows, columnMap, options = {}) {
+        if (!rows || rows.length === 0) {
+            return { success: true, updatedCells: 0, updatedRows: 0, committedRows: [] };
+        }
+        
+        try {
+            const columnLetters = this.getColumnLetters(columnMap);
+            const fields = [...new Set(rows.flatMap(row => Object.keys(row.values)))]
+                .filter(field => columnLetters[field]);
+            
+            const result = await this._writeInChunks(spreadsheetId, rows, chunk => {
+                return fields.flatMap(field => {
+                    const withField = chunk.filter(row => row.values[field] !== undefined);
+                    if (withField.length === 0) return [];
+                    return this.createNonContiguousUpdates(
+                        sheetName,
+                        columnLetters[field],
+                        withField.map(row => row.rowIndex + 2), // +2 for header and 0-index
+                        withField.map(row => [row.values[field]])
+                    );
+                });
+            }, options);
+            
+            return {
+                success: true,
+                updatedCells: result.updatedCells,
+                updatedRows: result.committedRows.length,
+                committedRows: result.committedRows
+            };
             
         } catch (error) {
-            console.error('Failed to write JSON results:', error);
-            throw new Error(`Failed to write JSON results: ${error.message}`);
+            if (CancellationToken.isCancellation(error)) throw error;
+            console.error('Failed to write field values:', error);
+            throw new Error(`Failed to write ${sheetName}: ${error.message}`);
         }
     }
     
@@ -180,16 +289,18 @@ export class SheetsWriter {
      * @param {string} sheetName - Sheet name
      * @param {Array} results - Combined results with translations and JSON
      * @param {string} dataType - 'doctor' or 'hospital'
+     * @param {Object} columnMap - Header column map of the sheet
+     * @param {Object} options - { cancellationToken }
      * @returns {Promise<Object>} - Write result
      */
-    async writeAllResults(spreadsheetId, sheetName, results, dataType) {
+    async writeAllResults(spreadsheetId, sheetName, results, dataType, columnMap, options = {}) {
         if (!results || results.length === 0) {
             return { success: true, updatedCells: 0, updatedRows: 0, skippedRows: 0 };
         }
         
         try {
             const sheetsService = await this._getSheetsService();
-            const columnLetters = APP_CONFIG.COLUMN_LETTERS[dataType.toUpperCase()];
+            const columnLetters = this.getColumnLetters(columnMap);
             const updates = [];
             let skippedCount = 0;
             
@@ -205,7 +316,7 @@ export class SheetsWriter {
                 
                 // Add LLM translation updates if present
                 if (result.translated) {
-                    // Name column (J)
+                    // Name column
                     if (result.translated.name) {
                         updates.push({
                             range: `'${sheetName}'!${columnLetters.llm_name}${rowNumber}`,
@@ -213,7 +324,7 @@ export class SheetsWriter {
                         });
                     }
                     
-                    // Content column (K)
+                    // Content column
                     const contentColumn = dataType === 'doctor' 
                         ? columnLetters.llm_history 
                         : columnLetters.llm_description;
@@ -229,7 +340,7 @@ export class SheetsWriter {
                     }
                 }
                 
-                // Add JSON update (L)
+                // Add JSON update
                 if (result.json || result.updated_json) {
                     updates.push({
                         range: `'${sheetName}'!${columnLetters.updated_json}${rowNumber}`,
@@ -244,6 +355,7 @@ export class SheetsWriter {
                 let totalUpdatedCells = 0;
                 
                 for (let i = 0; i < updates.length; i += batchSize) {
+                    options.cancellationToken?.throwIfCancelled();
                     const batch = updates.slice(i, i + batchSize);
                     const result = await sheetsService.batchUpdate(spreadsheetId, batch);
                     totalUpdatedCells += result.totalUpdatedCells || batch.length;
@@ -270,6 +382,7 @@ export class SheetsWriter {
             };
             
         } catch (error) {
+            if (CancellationToken.isCancellation(error)) throw error;
             console.error('Failed to write all results:', error);
             throw new Error(`Failed to write results: ${error.message}`);
         }
@@ -277,17 +390,18 @@ export class SheetsWriter {
     
     /**
      * Clear LLM columns before writing new translations
-     * UPDATED: Uses new column positions (J, K)
+     * UPDATED: Uses header-mapped column positions
      * @param {string} spreadsheetId - Google Sheets ID
      * @param {string} sheetName - Sheet name
      * @param {string} dataType - 'doctor' or 'hospital'
      * @param {number} rowCount - Number of data rows
+     * @param {Object} columnMap - Header column map of the sheet
      * @returns {Promise<Object>} - Clear result
      */
-    async clearLLMColumns(spreadsheetId, sheetName, dataType, rowCount) {
+    async clearLLMColumns(spreadsheetId, sheetName, dataType, rowCount, columnMap) {
         try {
             const sheetsService = await this._getSheetsService();
-            const columnLetters = APP_CONFIG.COLUMN_LETTERS[dataType.toUpperCase()];
+            const columnLetters = this.getColumnLetters(columnMap);
             const startRow = 2; // Skip header
             const endRow = startRow + rowCount - 1;
             
@@ -0,0 +1,114 @@
+// File path: js/services/translation-memory.js
+// Translation Memory Module - Persistent cache of previously translated strings
+import { APP_CONFIG } from '../../config/config.js';
+import { IDBStore } from '../utils/idb-store.js';
+
+/**
+ * Translation Memory
+ * Stores translations in IndexedDB keyed by scope (provider and the options that
+ * change a translation, see TranslationService.getMemoryScope), target language
+ * and exact source text, so identical strings are never sent twice.
+ * All methods degrade to no-ops when IndexedDB is unavailable.
+ */
+export class TranslationMemory {
+    constructor() {
+        this.store = IDBStore.isSupported()
+            ? new IDBStore(APP_CONFIG.TRANSLATION_MEMORY.DB_NAME, APP_CONFIG.TRANSLATION_MEMORY.STORE_NAME)
+            : null;
+    }
+
+    /**
+     * Build the memory key for a source string
+     * @param {string} providerId - Memory scope (translation provider id and options)
+     * @param {string} language - Target language key
+     * @param {string} sourceText - Korean source text
+     * @returns {string}
+     */
+    static createKey(providerId, language, sourceText) {
+        return `${providerId}|${language}|${sourceText}`;
+    }
+
+    /**
+     * Look up translations for several source texts
+     * @param {Array<string>} sourceTexts - Korean source texts
+     * @param {string} language - Target language key
+     * @param {string} providerId - Memory scope (translation provider id and options)
+     * @returns {Promise<Map<string, string>>} - Source text -> translation (hits only)
+     */
+    async lookup(sourceTexts, language, providerId) {
+        const hits = new Map();
+        const unique = Array.from(new Set(sourceTexts.filter(text => text && text.trim())));
+
+        if (!this.store || unique.length === 0) {
+            return hits;
+        }
+
+        try {
+            const records = await this.store.getMany(
+                unique.map(text => TranslationMemory.createKey(providerId, language, text))
+            );
+            records.forEach((record, index) => {
+                if (record && record.translation) {
+                    hits.set(unique[index], record.translation);
+                }
+            });
+        } catch (error) {
+            console.warn('Translation memory lookup failed:', error);
+        }
+
+        return hits;
+    }
+
+    /**
+     * Remember translated pairs
+     * @param {Array<Array<string>>} pairs - [sourceText, translation] pairs
+     * @param {string} language - Target language key
+     * @param {string} providerId - Memory scope (translation provider id and options)
+     */
+    async remember(pairs, language, providerId) {
+        if (!this.store) return;
+
+        const updatedAt = new Date().toISOString();
+        const records = pairs
+            .filter(([source, translation]) => source && source.trim() && translation)
+            .map(([source, translation]) => ({
+                key: TranslationMemory.createKey(providerId, language, source),
+                source,
+                translation,
+                language,
+                provider: providerId,
+                updatedAt
+            }));
+
+        try {
+            await this.store.putMany(records);
+        } catch (error) {
+            console.warn('Failed to store translation memory:', error);
+        }
+    }
+
+    /**
+     * Remove all remembered translations
+     */
+    async clear() {
+        if (this.store) {
+            await this.store.clear();
+        }
+    }
+}
+
+/**
+ * Singleton instance
+ */
+let memoryInstance = null;
+
+/**
+ * Get or create translation memory instance
+ * @returns {TranslationMemory} - Memory instance
+ */
+export function getTranslationMemory() {
+    if (!memoryInstance) {
+        memoryInstance = new TranslationMemory();
+    }
+    return memoryInstance;
+}
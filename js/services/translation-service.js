@@ -1,31 +1,61 @@
 // File path: js/services/translation-service.js
 // Translation Service Module - Orchestrates single-language translation
 // UPDATED: Content change detection and old_ value awareness
+// UPDATED: Translation engine is a pluggable provider (see providers/)
+// UPDATED: Batches run in a bounded concurrency pool sharing one rate limiter
+// UPDATED: Requests are packed by byte size; oversized texts are split at sentence boundaries
+// UPDATED: Korean doctor names are transliterated by rule instead of translated
+// UPDATED: Official hospital names from the dictionary tab bypass the provider
+// UPDATED: Line-structured fields keep their line breaks (line by line or XML line tags)
+// UPDATED: Rows without Korean text are translated from their old_json pivot language
 import { APP_CONFIG } from '../../config/config.js';
+import { ProviderRegistry } from './providers/provider-registry.js';
+import { CancellationToken } from '../utils/cancellation.js';
+import { RateLimiter, runPool } from '../utils/concurrency.js';
+import { splitTextBySize, escapeXml, unescapeXml, ngramSimilarity, hashString, hashSourceText } from '../utils/text-utils.js';
+import { KoreanNames } from '../utils/korean-names.js';
+
+// Tag wrapped around each line when line breaks are kept with tag_handling=xml
+const LINE_TAG = 'l';
 
 /**
  * Translation Service
- * Manages translation of Korean content to target language using DeepL
+ * Manages translation of Korean content to target language using a translation provider
  * Now includes content change detection and skip logic
  */
 export class TranslationService {
-    constructor(apiKey) {
-        this.apiKey = apiKey;
-        this.baseUrl = APP_CONFIG.DEEPL_API.BASE_URL;
-        this.requestCount = 0;
-        this.lastRequestTime = 0;
+    /**
+     * @param {TranslationProvider} provider - Translation engine
+     * @param {Object} options - { memory: TranslationMemory, transliterateNames: boolean,
+     *                             lineHandling: 'lines' | 'xml' | 'none' }
+     */
+    constructor(provider, options = {}) {
+        this.provider = provider;
+        this.memory = options.memory || null;
+        this.transliterateNames = options.transliterateNames ?? APP_CONFIG.NAME_ROMANIZATION.ENABLED;
+        this.lineHandling = options.lineHandling || APP_CONFIG.TRANSLATION.LINE_HANDLING;
+        // One limiter per service: concurrent batches (and split retries) share it
+        this.rateLimiter = new RateLimiter(provider.settings?.RATE_LIMIT || APP_CONFIG.DEEPL_API.RATE_LIMIT);
     }
     
     /**
      * Translate rows that need translation
      * UPDATED: Added statistics for skipped rows
      * @param {Array} rows - Rows needing translation
-     * @param {string} targetLanguage - Target language code (en/ja/th)
+     * @param {string} targetLanguage - Target language key (APP_CONFIG.LANGUAGES)
      * @param {string} dataType - 'doctor' or 'hospital'
      * @param {Function} onProgress - Progress callback
+     * @param {Object} options - { cancellationToken, restored, nameDictionary, onBatchComplete } plus
+     *                             provider options passed on every request ({ glossaryId, formality, context })
+     *                             restored: Map row id -> translated fields saved by an interrupted run
+     *                             nameDictionary: Map Korean hospital name -> { language: official name }
+     *                             onBatchComplete: async callback receiving each batch's results
      * @returns {Promise<Object>} - Translation results with statistics
      */
-    async translateRows(rows, targetLanguage, dataType, onProgress) {
+    async translateRows(rows, targetLanguage, dataType, onProgress, options = {}) {
+        const { cancellationToken, restored = new Map(), nameDictionary, onBatchComplete, ...providerOptions } = options;
+        providerOptions.signal = cancellationToken?.signal;
+        
         if (!rows || rows.length === 0) {
             return {
                 results: [],
@@ -33,13 +63,20 @@ export class TranslationService {
                     total: 0,
                     translated: 0,
                     skipped: 0,
-                    failed: 0
+                    failed: 0,
+                    memoryHits: 0,
+                    namesTransliterated: 0,
+                    dictionaryHits: 0,
+                    pivotRows: 0,
+                    fieldsKept: 0,
+                    charactersSaved: 0
                 }
             };
         }
         
-        // Get DeepL language code
-        const targetLangCode = APP_CONFIG.TRANSLATION.SUPPORTED_LANGUAGES[targetLanguage].code;
+        if (!this.provider.supportsLanguage(targetLanguage)) {
+            throw new Error(`${this.provider.name} does not support language: ${targetLanguage}`);
+        }
         
         // Filter rows that actually need translation
         const { rowsToTranslate, skippedRows } = this.filterRowsForTranslation(rows, dataType);
@@ -49,45 +86,91 @@ export class TranslationService {
             console.log(`Skipping ${skippedRows.length} rows with unchanged content`);
         }
         
-        // Prepare batches from filtered rows
-        const batches = this.createBatches(rowsToTranslate, dataType);
-        const results = [];
+        // Rows already translated before an interrupted run stopped
+        const restoredRows = rowsToTranslate.filter(row => restored.has(row.id));
+        const remainingRows = rowsToTranslate.filter(row => !restored.has(row.id));
+        const results = restoredRows.map(row => ({
+            id: row.id,
+            rowIndex: row.rowIndex,
+            translated: restored.get(row.id),
+            fromCheckpoint: true,
+            success: true
+        }));
         
-        // Process batches
-        for (let i = 0; i < batches.length; i++) {
-            try {
-                // Rate limiting
-                await this.enforceRateLimit();
-                
-                // Translate batch
-                const batchResult = await this.translateBatch(
-                    batches[i], 
-                    targetLangCode, 
-                    dataType
-                );
-                
-                results.push(...batchResult);
-                
-                // Update progress
-                if (onProgress) {
-                    const progress = ((i + 1) / batches.length) * 100;
-                    onProgress(progress, `Translated batch ${i + 1} of ${batches.length}`);
-                }
-                
-            } catch (error) {
-                console.error(`Batch ${i + 1} translation failed:`, error);
-                
-                // Add failed results for this batch
-                batches[i].forEach(item => {
-                    results.push({
-                        id: item.id,
-                        rowIndex: item.rowIndex,
-                        error: error.message,
-                        success: false
-                    });
-                });
+        // Reuse earlier translations of identical strings
+        const presets = await this.lookupMemory(remainingRows, targetLanguage, dataType, providerOptions);
+        
+        // Count fields served from translation memory
+        let memoryHits = 0;
+        presets.forEach(fields => {
+            memoryHits += Object.keys(fields).length;
+        });
+        
+        // Transliterated doctor names never go to the provider
+        const names = this.applyNameTransliteration(remainingRows, targetLanguage, dataType, presets);
+        
+        // Official names from the dictionary tab win over memory and the provider
+        const dictionaryRows = this.applyNameDictionary(remainingRows, targetLanguage, dataType, nameDictionary, presets);
+        
+        // Fields whose Korean text did not change keep their llm_* translation
+        const kept = this.keepUnchangedFields(remainingRows, dataType, presets);
+        
+        const { pendingRows, resolvedRows } = this.splitResolvedRows(remainingRows, presets, dataType);
+        results.push(...resolvedRows.map(row => this.createPresetResult(row, presets.get(row.id), dataType)));
+        
+        // Prepare batches from rows that still need the provider
+        const batches = this.createBatches(pendingRows, dataType, presets);
+        
+        // Process batches, up to CONCURRENT_REQUESTS at a time
+        // Progress is reported as batches finish; results stay in batch order
+        let completedBatches = 0;
+        const batchResults = await runPool(batches, APP_CONFIG.TRANSLATION.CONCURRENT_REQUESTS, async (batch) => {
+            // Stop before the next batch once the run is cancelled
+            cancellationToken?.throwIfCancelled();
+            
+            // Translate batch (failed batches are split and retried)
+            const batchResult = await this.translateBatchWithSplit(
+                batch, 
+                targetLanguage, 
+                dataType,
+                providerOptions
+            );
+            
+            // Source texts sent for each row; remembered only once the row passes QA and is written
+            batchResult.forEach((result, index) => {
+                if (result.success) result.memorySources = batch[index].texts;
+            });
+            
+            // Checkpoint the batch so an interrupted run can resume
+            if (onBatchComplete) {
+                await onBatchComplete(batchResult);
             }
-        }
+            
+            // Update progress
+            completedBatches++;
+            if (onProgress) {
+                const progress = (completedBatches / batches.length) * 100;
+                onProgress(progress, `Translated batch ${completedBatches} of ${batches.length}`);
+            }
+            
+            return batchResult;
+        });
+        batchResults.forEach(batchResult => results.push(...batchResult));
+        
+        // Record which names came from the dictionary
+        results.forEach(result => {
+            if (dictionaryRows.has(result.id) && !result.fromCheckpoint) {
+                result.fromDictionary = true;
+            }
+        });
+        
+        // Hashes of the source each result was translated from (source_hash column)
+        const rowsById = new Map(rowsToTranslate.map(row => [row.id, row]));
+        results.forEach(result => {
+            if (result.success && rowsById.has(result.id)) {
+                result.sourceHashes = this.hashSourceFields(rowsById.get(result.id), dataType);
+            }
+        });
         
         // Add skipped rows to results (marked as successful but not translated)
         skippedRows.forEach(row => {
@@ -113,14 +196,252 @@ export class TranslationService {
                 total: rows.length,
                 translated: results.filter(r => r.success && !r.skipped).length,
                 skipped: skippedRows.length,
-                failed: results.filter(r => !r.success).length
+                failed: results.filter(r => !r.success).length,
+                memoryHits: memoryHits,
+                rowsFromMemory: resolvedRows.length,
+                rowsFromCheckpoint: restoredRows.length,
+                namesTransliterated: names,
+                dictionaryHits: dictionaryRows.size,
+                pivotRows: remainingRows.filter(row => row.pivotSource).length,
+                fieldsKept: kept.fields,
+                charactersSaved: kept.characters
             }
         };
     }
     
+    /**
+     * Estimate the characters translateRows would send to the provider
+     * Mirrors translateRows: unchanged rows and fields, restored, memory-served,
+     * transliterated and dictionary names cost nothing
+     * With backTranslation, every translated field is also sent back (see verifyBackTranslation),
+     * including restored and memory-served ones; the translation is estimated at its source length
+     * @param {Array} rows - Rows needing translation
+     * @param {string} targetLanguage - Target language key
+     * @param {string} dataType - Data type
+     * @param {Object} options - { restored, nameDictionary, backTranslation } plus the provider options
+     *                            of the run ({ glossaryId, formality, context }, they select the memory scope)
+     * @returns {Promise<Object>} - { characterCount, rowCharacters: Map row id -> characters }
+     */
+    async estimateCharacters(rows, targetLanguage, dataType, options = {}) {
+        const { restored = new Map(), nameDictionary, backTranslation = false, ...providerOptions } = options;
+        const fields = APP_CONFIG.TRANSLATION.FIELDS[dataType.toUpperCase()];
+        const measureFields = (row, include) => fields
+            .filter(include)
+            .map(field => this.getSourceText(row, field))
+            .filter(text => text.trim())
+            .reduce((sum, text) => sum + text.length, 0);
+        
+        const { rowsToTranslate } = this.filterRowsForTranslation(rows, dataType);
+        const remainingRows = rowsToTranslate.filter(row => !restored.has(row.id));
+        const presets = await this.lookupMemory(remainingRows, targetLanguage, dataType, providerOptions);
+        this.applyNameTransliteration(remainingRows, targetLanguage, dataType, presets);
+        this.applyNameDictionary(remainingRows, targetLanguage, dataType, nameDictionary, presets);
+        this.keepUnchangedFields(remainingRows, dataType, presets);
+        
+        const rowCharacters = new Map();
+        let characterCount = 0;
+        
+        remainingRows.forEach(row => {
+            const known = presets.get(row.id) || {};
+            const characters = measureFields(row, field => known[field] === undefined);
+            
+            rowCharacters.set(row.id, characters);
+            characterCount += characters;
+        });
+        
+        if (backTranslation) {
+            rowsToTranslate.forEach(row => {
+                const characters = measureFields(row, () => true);
+                rowCharacters.set(row.id, (rowCharacters.get(row.id) || 0) + characters);
+                characterCount += characters;
+            });
+        }
+        
+        return { characterCount, rowCharacters };
+    }
+    
+    /**
+     * Get the source text of a field
+     * UPDATED: Rows without Korean text use their pivot source (another language from old_json)
+     * @param {Object} row - Parsed row
+     * @param {string} field - Field name (name/history/description)
+     * @returns {string}
+     */
+    getSourceText(row, field) {
+        return row.pivotSource ? (row.pivotSource[field] || '') : (row[`kr_${field}`] || '');
+    }
+    
+    /**
+     * Look up row fields in translation memory
+     * @param {Array} rows - Rows to translate
+     * @param {string} targetLanguage - Target language key
+     * @param {string} dataType - Data type
+     * @param {Object} providerOptions - { glossaryId, formality, context } (see getMemoryScope)
+     * @returns {Promise<Map>} - Row id -> { field: translation } for memory hits
+     */
+    async lookupMemory(rows, targetLanguage, dataType, providerOptions = {}) {
+        const presets = new Map();
+        if (!this.memory) return presets;
+        
+        const sourceTexts = [];
+        rows.forEach(row => this.getChangedFields(row, dataType).forEach(field => sourceTexts.push(this.getSourceText(row, field))));
+        
+        const hits = await this.memory.lookup(sourceTexts, targetLanguage, this.getMemoryScope(providerOptions));
+        if (hits.size === 0) return presets;
+        
+        rows.forEach(row => {
+            const known = {};
+            this.getChangedFields(row, dataType).forEach(field => {
+                const translation = hits.get(this.getSourceText(row, field));
+                if (translation) known[field] = translation;
+            });
+            if (Object.keys(known).length > 0) {
+                presets.set(row.id, known);
+            }
+        });
+        
+        return presets;
+    }
+    
+    /**
+     * Fill in doctor names that can be transliterated by rule (see KoreanNames)
+     * The result is written to llm_name, so a manual_name still wins
+     * @param {Array} rows - Rows to translate
+     * @param {string} targetLanguage - Target language key
+     * @param {string} dataType - Data type
+     * @param {Map} presets - Row id -> known field translations (updated in place)
+     * @returns {number} - Number of names transliterated
+     */
+    applyNameTransliteration(rows, targetLanguage, dataType, presets) {
+        if (!this.transliterateNames || dataType !== 'doctor') return 0;
+        
+        let count = 0;
+        rows.forEach(row => {
+            if (!this.getChangedFields(row, dataType).includes('name')) return;
+            const name = KoreanNames.transliterate(row.kr_name, targetLanguage);
+            if (name) {
+                presets.set(row.id, { ...presets.get(row.id), name });
+                count++;
+            }
+        });
+        
+        return count;
+    }
+    
+    /**
+     * Fill in official hospital names from the dictionary tab
+     * @param {Array} rows - Rows to translate
+     * @param {string} targetLanguage - Target language key
+     * @param {string} dataType - Data type
+     * @param {Map} nameDictionary - Korean name -> { language: official name }
+     * @param {Map} presets - Row id -> known field translations (updated in place)
+     * @returns {Set<string>} - Ids of rows whose name came from the dictionary
+     */
+    applyNameDictionary(rows, targetLanguage, dataType, nameDictionary, presets) {
+        const matched = new Set();
+        if (!nameDictionary || nameDictionary.size === 0 || dataType !== 'hospital') return matched;
+        
+        rows.forEach(row => {
+            if (!this.getChangedFields(row, dataType).includes('name')) return;
+            const name = nameDictionary.get((row.kr_name || '').trim())?.[targetLanguage];
+            if (name) {
+                presets.set(row.id, { ...presets.get(row.id), name });
+                matched.add(row.id);
+            }
+        });
+        
+        return matched;
+    }
+    
+    /**
+     * Separate rows whose every non-empty field is already known
+     * @param {Array} rows - Rows to translate
+     * @param {Map} presets - Row id -> known field translations
+     * @param {string} dataType - Data type
+     * @returns {Object} - { pendingRows, resolvedRows }
+     */
+    splitResolvedRows(rows, presets, dataType) {
+        const fields = APP_CONFIG.TRANSLATION.FIELDS[dataType.toUpperCase()];
+        const pendingRows = [];
+        const resolvedRows = [];
+        
+        rows.forEach(row => {
+            const known = presets.get(row.id);
+            const isResolved = known && fields.every(field =>
+                !this.getSourceText(row, field).trim() || known[field] !== undefined
+            );
+            (isResolved ? resolvedRows : pendingRows).push(row);
+        });
+        
+        return { pendingRows, resolvedRows };
+    }
+    
+    /**
+     * Create a result for a row fully served from translation memory
+     * @param {Object} row - Parsed row
+     * @param {Object} known - Field -> translation
+     * @param {string} dataType - Data type
+     * @returns {Object} - Translation result
+     */
+    createPresetResult(row, known, dataType) {
+        const translated = {};
+        APP_CONFIG.TRANSLATION.FIELDS[dataType.toUpperCase()].forEach(field => {
+            translated[field] = known[field] || '';
+        });
+        
+        return {
+            id: row.id,
+            rowIndex: row.rowIndex,
+            translated,
+            fromMemory: true,
+            success: true
+        };
+    }
+    
+    /**
+     * Store freshly translated fields in translation memory
+     * UPDATED: Called by the pipeline after QA, with the rows actually written, so
+     * flagged or blocked translations are never served again from memory
+     * @param {Array} results - Results from translateRows (fields sent are in memorySources)
+     * @param {string} targetLanguage - Target language key
+     * @param {Object} providerOptions - { glossaryId, formality, context } (see getMemoryScope)
+     */
+    async rememberResults(results, targetLanguage, providerOptions = {}) {
+        if (!this.memory) return;
+        
+        const pairs = [];
+        results.forEach(result => {
+            Object.entries(result.memorySources || {}).forEach(([field, source]) => {
+                pairs.push([source, result.translated[field]]);
+            });
+        });
+        
+        await this.memory.remember(pairs, targetLanguage, this.getMemoryScope(providerOptions));
+    }
+    
+    /**
+     * Translation memory namespace: everything besides the source text that changes
+     * the translation - provider, formality, line handling, glossary and context - so
+     * an edited glossary tab or context is not served from earlier translations
+     * @param {Object} providerOptions - { glossaryId, formality, context }
+     * @returns {string} - e.g. "deepl:prefer_more:lines:glossary=abc:context=1a2b3c4d"
+     */
+    getMemoryScope(providerOptions = {}) {
+        const { glossaryId, formality, context } = providerOptions;
+        const parts = [this.provider.id];
+        
+        if (formality && formality !== 'default') parts.push(formality);
+        parts.push(this.usesXmlTags() ? 'xml' : this.lineHandling);
+        if (glossaryId) parts.push(`glossary=${glossaryId}`);
+        if (context) parts.push(`context=${hashString(context)}`);
+        
+        return parts.join(':');
+    }
+    
     /**
      * Filter rows for translation based on content changes
      * NEW METHOD
+     * UPDATED: A row is translated when any of its fields changed (see getChangedFields)
      * @param {Array} rows - All rows marked for translation
      * @param {string} dataType - Data type
      * @returns {Object} - Separated rows to translate and skip
@@ -130,13 +451,7 @@ export class TranslationService {
         const skippedRows = [];
         
         rows.forEach(row => {
-            // Check if content actually changed (double-check parser logic)
-            const contentChanged = this.hasContentChanged(row, dataType);
-            
-            // Only translate if:
-            // 1. No LLM translation exists, OR
-            // 2. Content has changed from old values
-            if (!row.llm_name || contentChanged) {
+            if (this.getChangedFields(row, dataType).length > 0) {
                 rowsToTranslate.push(row);
             } else {
                 skippedRows.push(row);
@@ -147,106 +462,257 @@ export class TranslationService {
     }
     
     /**
-     * Check if content has changed from old values
-     * NEW METHOD
+     * Fields of a row that need translation
+     * UPDATED: Replaces the row-level hasContentChanged; rows parsed by SheetsParser
+     * carry changedFields. Other rows are translated in full when they have no LLM
+     * translation or no old values, otherwise only the fields that differ from old_*.
      * @param {Object} row - Row data
      * @param {string} dataType - Data type
-     * @returns {boolean} - True if content changed
+     * @returns {Array<string>} - Field names
      */
-    hasContentChanged(row, dataType) {
-        // If no old values exist, consider it as changed
-        if (!row.old_name) {
-            return true;
+    getChangedFields(row, dataType) {
+        if (Array.isArray(row.changedFields)) {
+            return row.changedFields;
         }
         
-        // Compare Korean content with old values
-        const nameChanged = row.kr_name !== row.old_name;
-        
-        if (dataType === 'doctor') {
-            const historyChanged = row.kr_history !== row.old_history;
-            return nameChanged || historyChanged;
-        } else {
-            const descriptionChanged = row.kr_description !== row.old_description;
-            return nameChanged || descriptionChanged;
+        const fields = APP_CONFIG.TRANSLATION.FIELDS[dataType.toUpperCase()];
+        if (!row.llm_name || !row.old_name) {
+            return fields;
         }
+        return fields.filter(field => row[`kr_${field}`] !== row[`old_${field}`]);
+    }
+    
+    /**
+     * Hash every source field of a row (see hashSourceText)
+     * @param {Object} row - Row data
+     * @param {string} dataType - Data type
+     * @returns {Object} - Field -> hash
+     */
+    hashSourceFields(row, dataType) {
+        const hashes = {};
+        APP_CONFIG.TRANSLATION.FIELDS[dataType.toUpperCase()].forEach(field => {
+            hashes[field] = hashSourceText(this.getSourceText(row, field));
+        });
+        return hashes;
+    }
+    
+    /**
+     * Keep the existing llm_* translation of fields that did not change
+     * NEW METHOD - Runs after memory and dictionary lookups, which only see changed fields
+     * @param {Array} rows - Rows to translate
+     * @param {string} dataType - Data type
+     * @param {Map} presets - Row id -> known field translations (updated in place)
+     * @returns {Object} - { fields, characters } kept instead of being translated again
+     */
+    keepUnchangedFields(rows, dataType, presets) {
+        const fields = APP_CONFIG.TRANSLATION.FIELDS[dataType.toUpperCase()];
+        const kept = { fields: 0, characters: 0 };
+        
+        rows.forEach(row => {
+            const changed = this.getChangedFields(row, dataType);
+            fields
+                .filter(field => !changed.includes(field) && row[`llm_${field}`])
+                .forEach(field => {
+                    presets.set(row.id, { ...presets.get(row.id), [field]: row[`llm_${field}`] });
+                    kept.fields++;
+                    kept.characters += this.getSourceText(row, field).length;
+                });
+        });
+        
+        return kept;
     }
     
     /**
      * Create batches for translation
+     * UPDATED: A batch closes at BATCH_SIZE rows or when its texts would exceed
+     * the provider's request size; an oversized row gets a batch of its own
+     * UPDATED: Every batch has a single source language (requests carry one source_lang);
+     * Korean rows come first, then pivot rows grouped by language
      * @param {Array} rows - Rows to translate
      * @param {string} dataType - Data type
+     * @param {Map} presets - Row id -> already known field translations (excluded from texts)
      * @returns {Array} - Batches of texts
      */
-    createBatches(rows, dataType) {
+    createBatches(rows, dataType, presets = new Map()) {
         const batchSize = APP_CONFIG.TRANSLATION.BATCH_SIZE;
+        const maxBytes = this.provider.getMaxRequestSize();
+        const fields = APP_CONFIG.TRANSLATION.FIELDS[dataType.toUpperCase()];
         const batches = [];
+        let batch = [];
+        let batchBytes = 0;
         
-        for (let i = 0; i < rows.length; i += batchSize) {
-            const batch = rows.slice(i, i + batchSize).map(row => {
-                const texts = {
-                    name: row.kr_name || ''
-                };
-                
-                if (dataType === 'doctor') {
-                    texts.history = row.kr_history || '';
-                } else {
-                    texts.description = row.kr_description || '';
+        const bySource = new Map([[APP_CONFIG.SOURCE_LANGUAGE.KEY, []]]);
+        rows.forEach(row => {
+            const sourceLanguage = row.sourceLanguage || APP_CONFIG.SOURCE_LANGUAGE.KEY;
+            if (!bySource.has(sourceLanguage)) bySource.set(sourceLanguage, []);
+            bySource.get(sourceLanguage).push(row);
+        });
+        
+        Array.from(bySource.values()).flat().forEach(row => {
+            const sourceLanguage = row.sourceLanguage || APP_CONFIG.SOURCE_LANGUAGE.KEY;
+            const known = presets.get(row.id) || {};
+            const texts = {};
+            
+            fields.forEach(field => {
+                if (known[field] === undefined) {
+                    texts[field] = this.getSourceText(row, field);
                 }
-                
-                return {
-                    id: row.id,
-                    rowIndex: row.rowIndex,
-                    texts: texts
-                };
             });
             
+            const itemBytes = this.measureTexts(Object.values(texts));
+            const sourceChanged = batch.length > 0 && batch[0].sourceLanguage !== sourceLanguage;
+            if (batch.length > 0 && (batch.length >= batchSize || batchBytes + itemBytes > maxBytes || sourceChanged)) {
+                batches.push(batch);
+                batch = [];
+                batchBytes = 0;
+            }
+            
+            batch.push({
+                id: row.id,
+                rowIndex: row.rowIndex,
+                sourceLanguage: sourceLanguage,
+                texts: texts,
+                known: known
+            });
+            batchBytes += itemBytes;
+        });
+        
+        if (batch.length > 0) {
             batches.push(batch);
         }
         
         return batches;
     }
     
+    /**
+     * Request bytes of the non-empty texts
+     * @param {Array<string>} texts - Source texts
+     * @returns {number}
+     */
+    measureTexts(texts) {
+        return texts
+            .filter(text => text && text.trim())
+            .reduce((sum, text) => sum + this.provider.getRequestSize(text), 0);
+    }
+    
+    /**
+     * Translate a batch, splitting it in halves when the provider rejects it
+     * so one bad row does not fail the rest of the batch.
+     * Transient errors (429/5xx) are already retried by the provider; once those
+     * retries are exhausted the batch fails as a whole instead of being split.
+     * Fatal errors (e.g. quota exceeded) and cancellation stop the run.
+     * @param {Array} batch - Batch items
+     * @param {string} targetLanguage - Target language key
+     * @param {string} dataType - Data type
+     * @param {Object} options - Provider options
+     * @returns {Promise<Array>} - Results in batch order (failed rows have success: false)
+     */
+    async translateBatchWithSplit(batch, targetLanguage, dataType, options = {}) {
+        try {
+            return await this.translateBatch(batch, targetLanguage, dataType, options);
+        } catch (error) {
+            if (error.fatal || CancellationToken.isCancellation(error)) {
+                throw error;
+            }
+            
+            if (batch.length > 1 && !error.retryable) {
+                const middle = Math.ceil(batch.length / 2);
+                console.warn(`Batch of ${batch.length} rows failed (${error.message}), retrying in halves`);
+                const first = await this.translateBatchWithSplit(batch.slice(0, middle), targetLanguage, dataType, options);
+                const second = await this.translateBatchWithSplit(batch.slice(middle), targetLanguage, dataType, options);
+                return [...first, ...second];
+            }
+            
+            console.error(`Translation failed for ${batch.length} rows:`, error);
+            return batch.map(item => ({
+                id: item.id,
+                rowIndex: item.rowIndex,
+                error: error.message,
+                success: false
+            }));
+        }
+    }
+    
     /**
      * Translate a batch of texts
+     * UPDATED: Texts larger than the provider's request size are split at sentence
+     * boundaries; segments are sent in as many size-bounded requests as needed
+     * and the translated pieces are reassembled in order
+     * UPDATED: Line breaks are preserved (see splitForTranslation). In 'xml' mode a
+     * text whose line tags do not come back intact is translated again line by line.
      * @param {Array} batch - Batch of texts to translate
-     * @param {string} targetLang - DeepL target language code
+     * @param {string} targetLanguage - Target language key
      * @param {string} dataType - Data type
+     * @param {Object} options - Provider options ({ glossaryId, signal })
      * @returns {Promise<Array>} - Translation results
      */
-    async translateBatch(batch, targetLang, dataType) {
-        // Prepare texts for DeepL
-        const textsToTranslate = [];
+    async translateBatch(batch, targetLanguage, dataType, options = {}) {
+        const maxBytes = this.provider.getMaxRequestSize();
+        const measure = text => this.provider.getRequestSize(text);
+        const xmlTags = this.usesXmlTags();
+        const requestOptions = {
+            ...options,
+            sourceLanguage: batch[0].sourceLanguage || APP_CONFIG.SOURCE_LANGUAGE.KEY
+        };
+        if (xmlTags) {
+            requestOptions.tagHandling = 'xml';
+            requestOptions.splittingTags = LINE_TAG;
+        }
+        
+        // Glossaries map Korean terms; a pivot batch is sent without one
+        if (requestOptions.sourceLanguage !== APP_CONFIG.SOURCE_LANGUAGE.KEY) {
+            delete requestOptions.glossaryId;
+        }
+        
+        // Prepare segments for the provider
+        const segments = [];
         const textMapping = [];
         
         batch.forEach(item => {
             Object.entries(item.texts).forEach(([field, text]) => {
                 if (text && text.trim()) {
-                    textsToTranslate.push(text);
                     textMapping.push({
                         id: item.id,
                         rowIndex: item.rowIndex,
-                        field: field
+                        field: field,
+                        text: text,
+                        pieces: this.queuePieces(this.splitForTranslation(text, maxBytes, measure, xmlTags), segments)
                     });
                 }
             });
         });
         
-        if (textsToTranslate.length === 0) {
+        if (segments.length === 0) {
             return batch.map(item => ({
                 id: item.id,
                 rowIndex: item.rowIndex,
-                translated: item.texts,
+                translated: { ...item.texts, ...item.known },
                 success: true
             }));
         }
         
-        // Call DeepL API
-        const translations = await this.callDeepLAPI(textsToTranslate, targetLang);
+        const translations = await this.sendSegments(segments, targetLanguage, requestOptions, maxBytes, measure);
+        
+        // Tagged texts that lost or merged lines are translated again one line at a time
+        const retrySegments = [];
+        textMapping.forEach(mapping => {
+            const linesLost = mapping.pieces.some(piece =>
+                piece.lineBreaks && this.extractLines(translations[piece.segment]).length !== piece.lineBreaks.length + 1
+            );
+            if (linesLost) {
+                console.warn(`Line tags lost for ${mapping.id} ${mapping.field}, translating line by line`);
+                mapping.pieces = this.queuePieces(this.splitForTranslation(mapping.text, maxBytes, measure, xmlTags, false), retrySegments);
+                mapping.retried = true;
+            }
+        });
+        const retryTranslations = retrySegments.length > 0
+            ? await this.sendSegments(retrySegments, targetLanguage, requestOptions, maxBytes, measure)
+            : [];
         
-        // Map translations back to rows
+        // Map translations back to rows, joining split texts in order
         const translationMap = new Map();
         
-        textMapping.forEach((mapping, index) => {
+        textMapping.forEach(mapping => {
             if (!translationMap.has(mapping.id)) {
                 translationMap.set(mapping.id, {
                     id: mapping.id,
@@ -257,18 +723,24 @@ export class TranslationService {
             }
             
             const result = translationMap.get(mapping.id);
-            result.translated[mapping.field] = translations[index] || '';
+            result.translated[mapping.field] = this.joinPieces(
+                mapping.pieces,
+                mapping.retried ? retryTranslations : translations,
+                xmlTags
+            );
         });
         
         // Convert map to array and include items with no translations
         return batch.map(item => {
             if (translationMap.has(item.id)) {
-                return translationMap.get(item.id);
+                const result = translationMap.get(item.id);
+                result.translated = { ...result.translated, ...item.known };
+                return result;
             } else {
                 return {
                     id: item.id,
                     rowIndex: item.rowIndex,
-                    translated: item.texts,
+                    translated: { ...item.texts, ...item.known },
                     success: true
                 };
             }
@@ -276,59 +748,257 @@ export class TranslationService {
     }
     
     /**
-     * Call DeepL API
-     * @param {Array} texts - Texts to translate
-     * @param {string} targetLang - Target language code
-     * @returns {Promise<Array>} - Translated texts
-     */
-    async callDeepLAPI(texts, targetLang) {
-        const url = `${this.baseUrl}/translate`;
-        
-        // Prepare request body
-        const params = new URLSearchParams();
-        texts.forEach(text => {
-    params.append('text', text);
-});
-params.append('target_lang', targetLang);
-params.append('source_lang', 'KO');
-
-fetch(url, {
-    method: 'POST',
-    headers: {
-        'Authorization': `DeepL-Auth-Key ${this.apiKey}`,
-        'Content-Type': 'application/x-www-form-urlencoded'
-    },
-    body: params.toString()
-})
+     * NEW METHOD: Back-translation check
+     * Translates every translated field back into its source language (Korean, or the
+     * pivot language for rows without Korean) and scores it against the source with
+     * character n-gram similarity. The row score is the mean of its field scores,
+     * weighted by source length. Sets result.backTranslation = { score, flagged }.
+     * Skipped rows, failed rows and dictionary names are not checked.
+     * @param {Array} results - Results from translateRows
+     * @param {Array} rows - Parsed rows the results belong to
+     * @param {string} targetLanguage - Language the results are in
+     * @param {string} dataType - 'doctor' or 'hospital'
+     * @param {Object} options - { cancellationToken, threshold, ngramSize }
+     * @returns {Promise<Object>} - { checked, similarityTotal, flagged: [{ id, rowIndex, sheetRow, score, threshold }] }
+     */
+    async verifyBackTranslation(results, rows, targetLanguage, dataType, options = {}) {
+        const {
+            cancellationToken,
+            threshold = APP_CONFIG.BACK_TRANSLATION.THRESHOLD,
+            ngramSize = APP_CONFIG.BACK_TRANSLATION.NGRAM_SIZE
+        } = options;
+        const fields = APP_CONFIG.TRANSLATION.FIELDS[dataType.toUpperCase()];
+        const rowsById = new Map(rows.map(row => [row.id, row]));
+        const maxBytes = this.provider.getMaxRequestSize();
+        const measure = text => this.provider.getRequestSize(text);
+        
+        // Field pairs to compare, grouped by the language they are translated back into
+        const groups = new Map();
+        results
+            .filter(result => result.success && !result.skipped && result.translated && rowsById.has(result.id))
+            .forEach(result => {
+                const row = rowsById.get(result.id);
+                const backLanguage = row.pivotSource ? row.sourceLanguage : APP_CONFIG.SOURCE_LANGUAGE.KEY;
+                
+                fields
+                    .filter(field => !(field === 'name' && result.fromDictionary))
+                    .forEach(field => {
+                        const source = this.getSourceText(row, field);
+                        const translated = result.translated[field] || '';
+                        if (!source.trim() || !translated.trim()) return;
+                        
+                        if (!groups.has(backLanguage)) groups.set(backLanguage, []);
+                        groups.get(backLanguage).push({ result, source, translated });
+                    });
+            });
+        
+        // Translate back, one request set per language
+        for (const [backLanguage, pairs] of groups) {
+            cancellationToken?.throwIfCancelled();
             
-            if (!response.ok) {
-                const error = await response.json().catch(() => ({}));
-                throw new Error(error.message || `DeepL API error: ${response.status}`);
-            }
+            const segments = [];
+            pairs.forEach(pair => {
+                pair.pieces = this.queuePieces(splitTextBySize(pair.translated, maxBytes, measure), segments);
+            });
             
-            const data = await response.json();
-            return data.translations.map(t => t.text);
+            const translations = await this.sendSegments(segments, backLanguage, {
+                sourceLanguage: targetLanguage,
+                signal: cancellationToken?.signal
+            }, maxBytes, measure);
             
-        } catch (error) {
-            console.error('DeepL API call failed:', error);
-            throw error;
+            pairs.forEach(pair => {
+                pair.similarity = ngramSimilarity(pair.source, this.joinPieces(pair.pieces, translations, false), ngramSize);
+            });
         }
+        
+        // Score rows (source-length weighted mean of their fields)
+        const scores = new Map();
+        for (const pairs of groups.values()) {
+            pairs.forEach(({ result, source, similarity }) => {
+                const score = scores.get(result) || { weighted: 0, length: 0 };
+                score.weighted += similarity * source.length;
+                score.length += source.length;
+                scores.set(result, score);
+            });
+        }
+        
+        const flagged = [];
+        let similarityTotal = 0;
+        scores.forEach(({ weighted, length }, result) => {
+            const score = weighted / length;
+            const isFlagged = score < threshold;
+            result.backTranslation = { score, flagged: isFlagged };
+            similarityTotal += score;
+            
+            if (isFlagged) {
+                flagged.push({
+                    id: result.id,
+                    rowIndex: result.rowIndex,
+                    sheetRow: result.rowIndex + 2, // +2 for header and 0-index
+                    score,
+                    threshold
+                });
+            }
+        });
+        
+        return { checked: scores.size, similarityTotal, flagged };
     }
     
     /**
-     * Enforce rate limiting
+     * Send segments to the provider, one request per size-bounded group
+     * @param {Array<string>} segments - Texts to translate
+     * @param {string} targetLanguage - Target language key
+     * @param {Object} options - Provider options
+     * @param {number} maxBytes - Request size limit
+     * @param {Function} measure - (text) => request bytes
+     * @returns {Promise<Array<string>>} - Translations in segment order
+     */
+    async sendSegments(segments, targetLanguage, options, maxBytes, measure) {
+        const translations = [];
+        for (const group of this.packSegments(segments, maxBytes, measure)) {
+            await this.enforceRateLimit(options.signal);
+            translations.push(...await this.provider.translate(group, targetLanguage, options));
+        }
+        return translations;
+    }
+    
+    /**
+     * Check whether line breaks are kept with XML line tags for this provider
+     * @returns {boolean}
+     */
+    usesXmlTags() {
+        return this.lineHandling === 'xml' && this.provider.supportsTagHandling();
+    }
+    
+    /**
+     * NEW METHOD: Split a text into pieces to translate, keeping its line structure
+     * - 'none': sentence/size splitting only; the provider decides what happens to line breaks
+     * - 'lines': every line is translated on its own and the line breaks are put back
+     * - 'xml': all lines go in one request wrapped in <l> tags (pieces carry lineBreaks);
+     *   texts too large for one request, or wrapLines = false, fall back to 'lines'
+     * Piece texts are XML-escaped when xmlTags is set.
+     * @param {string} text - Source text
+     * @param {number} maxBytes - Request size limit
+     * @param {Function} measure - (text) => request bytes
+     * @param {boolean} xmlTags - Requests use tag_handling=xml
+     * @param {boolean} wrapLines - Allow wrapping lines in tags (false for the line-by-line retry)
+     * @returns {Array<Object>} - Pieces: { text, separator, lineBreaks? }
+     */
+    splitForTranslation(text, maxBytes, measure, xmlTags, wrapLines = true) {
+        const escape = xmlTags ? escapeXml : (value => value);
+        
+        if (this.lineHandling === 'none') {
+            return splitTextBySize(escape(text), maxBytes, measure);
+        }
+        
+        const parts = text.split(/(\r?\n)/);
+        const lines = parts.filter((part, index) => index % 2 === 0);
+        const lineBreaks = parts.filter((part, index) => index % 2 === 1);
+        
+        if (xmlTags && wrapLines && lines.length > 1) {
+            const wrapped = lines.map(line => `<${LINE_TAG}>${escape(line)}</${LINE_TAG}>`).join('');
+            if (measure(wrapped) <= maxBytes) {
+                return [{ text: wrapped, separator: '', lineBreaks }];
+            }
+        }
+        
+        return lines.flatMap((line, index) => {
+            const pieces = splitTextBySize(escape(line), maxBytes, measure);
+            const last = pieces[pieces.length - 1];
+            if (index < lineBreaks.length) {
+                last.separator += lineBreaks[index];
+            }
+            return pieces;
+        });
+    }
+    
+    /**
+     * Add the non-blank pieces of a text to the segment list
+     * Blank pieces are kept as separators so whitespace survives untouched.
+     * @param {Array<Object>} pieces - Pieces from splitForTranslation
+     * @param {Array<string>} segments - Segment list (mutated)
+     * @returns {Array<Object>} - { separator, segment, lineBreaks? } (segment -1 for blank pieces)
+     */
+    queuePieces(pieces, segments) {
+        return pieces.map(piece => {
+            if (!piece.text.trim()) {
+                return { separator: piece.text + piece.separator, segment: -1 };
+            }
+            segments.push(piece.text);
+            return { separator: piece.separator, segment: segments.length - 1, lineBreaks: piece.lineBreaks };
+        });
+    }
+    
+    /**
+     * Reassemble a translated text from its pieces
+     * @param {Array<Object>} pieces - Pieces from queuePieces
+     * @param {Array<string>} translations - Translations by segment index
+     * @param {boolean} xmlTags - Translations are XML-escaped
+     * @returns {string}
      */
-    async enforceRateLimit() {
-        const now = Date.now();
-        const timeSinceLastRequest = now - this.lastRequestTime;
-        const minInterval = 1000 / APP_CONFIG.DEEPL_API.RATE_LIMIT;
+    joinPieces(pieces, translations, xmlTags) {
+        return pieces
+            .map((piece, index) => {
+                let text = piece.segment >= 0 ? (translations[piece.segment] || '') : '';
+                if (piece.lineBreaks) {
+                    text = this.extractLines(text)
+                        .map((line, lineIndex) => line.trim() + (piece.lineBreaks[lineIndex] || ''))
+                        .join('');
+                } else if (xmlTags) {
+                    text = unescapeXml(text);
+                }
+                return index < pieces.length - 1 ? text + piece.separator : text;
+            })
+            .join('');
+    }
+    
+    /**
+     * Read the lines back out of a tagged translation
+     * @param {string} text - Translation of <l>...</l><l>...</l>
+     * @returns {Array<string>} - Unescaped line texts
+     */
+    extractLines(text) {
+        const pattern = new RegExp(`<${LINE_TAG}>([\\s\\S]*?)</${LINE_TAG}>`, 'g');
+        return Array.from(String(text || '').matchAll(pattern), match => unescapeXml(match[1]));
+    }
+    
+    /**
+     * Group segments into requests that stay within the provider's size limit
+     * @param {Array<string>} segments - Texts to send (each within maxBytes)
+     * @param {number} maxBytes - Request size limit
+     * @param {Function} measure - (text) => request bytes
+     * @returns {Array<Array<string>>} - Segment groups in order
+     */
+    packSegments(segments, maxBytes, measure) {
+        const groups = [];
+        let group = [];
+        let groupBytes = 0;
+        
+        segments.forEach(segment => {
+            const bytes = measure(segment);
+            if (group.length > 0 && groupBytes + bytes > maxBytes) {
+                groups.push(group);
+                group = [];
+                groupBytes = 0;
+            }
+            group.push(segment);
+            groupBytes += bytes;
+        });
         
-        if (timeSinceLastRequest < minInterval) {
-            await this.delay(minInterval - timeSinceLastRequest);
+        if (group.length > 0) {
+            groups.push(group);
         }
         
-        this.lastRequestTime = Date.now();
-        this.requestCount++;
+        return groups;
+    }
+    
+    /**
+     * Enforce rate limiting
+     * UPDATED: Waits on the shared limiter so concurrent batches stay within RATE_LIMIT
+     * @param {AbortSignal} signal - Aborts the wait when the run is cancelled
+     */
+    async enforceRateLimit(signal) {
+        await this.rateLimiter.acquire(signal);
     }
     
     /**
@@ -336,39 +1006,15 @@ fetch(url, {
      * @returns {Promise<boolean>} - Connection status
      */
     async testConnection() {
-        try {
-            const testText = '안녕하세요';
-            const translations = await this.callDeepLAPI([testText], 'EN-US');
-            return translations.length > 0 && translations[0].toLowerCase().includes('hello');
-        } catch (error) {
-            console.error('API connection test failed:', error);
-            return false;
-        }
+        return this.provider.testConnection();
     }
     
     /**
-     * Get usage statistics (if available)
-     * @returns {Promise<Object>} - Usage stats
+     * Get usage statistics (if the provider reports them)
+     * @returns {Promise<Object|null>} - { characterCount, characterLimit }
      */
     async getUsageStats() {
-        const url = `${this.baseUrl}/usage`;
-        
-        try {
-            const response = await fetch(url, {
-                headers: {
-                    'Authorization': `DeepL-Auth-Key ${this.apiKey}`
-                }
-            });
-            
-            if (!response.ok) {
-                throw new Error(`Failed to get usage stats: ${response.status}`);
-            }
-            
-            return await response.json();
-        } catch (error) {
-            console.error('Failed to get usage stats:', error);
-            return null;
-        }
+        return this.provider.getUsage();
     }
     
     /**
@@ -427,9 +1073,12 @@ fetch(url, {
 
 /**
  * Factory function to create translation service
- * @param {string} apiKey - DeepL API key
+ * @param {string} apiKey - Provider API key
+ * @param {string} providerId - Provider id from ProviderRegistry (default: deepl)
+ * @param {Object} providerOptions - { baseUrl, model } overrides
+ * @param {Object} serviceOptions - { memory: TranslationMemory }
  * @returns {TranslationService} - Service instance
  */
-export function createTranslationService(apiKey) {
-    return new TranslationService(apiKey);
+export function createTranslationService(apiKey, providerId = APP_CONFIG.TRANSLATION_PROVIDERS.DEFAULT, providerOptions = {}, serviceOptions = {}) {
+    return new TranslationService(ProviderRegistry.create(providerId, apiKey, providerOptions), serviceOptions);
 }
@@ -0,0 +1,66 @@
+// File path: js/utils/cancellation.js
+// Cancellation Module - One token per run, shared by the pipeline, translation and writes
+
+/**
+ * Error thrown when a run is cancelled by the user
+ */
+export class CancellationError extends Error {
+    constructor(message = 'Translation cancelled.') {
+        super(message);
+        this.name = 'CancellationError';
+    }
+}
+
+/**
+ * Cancellation Token
+ * Wraps an AbortController: the signal aborts in-flight fetches, and
+ * throwIfCancelled() stops loops before their next batch or write.
+ */
+export class CancellationToken {
+    constructor() {
+        this.controller = new AbortController();
+    }
+
+    /**
+     * Abort signal to pass to fetch()
+     * @returns {AbortSignal}
+     */
+    get signal() {
+        return this.controller.signal;
+    }
+
+    /**
+     * Whether cancel() has been called
+     * @returns {boolean}
+     */
+    get isCancelled() {
+        return this.controller.signal.aborted;
+    }
+
+    /**
+     * Cancel the run
+     */
+    cancel() {
+        if (!this.isCancelled) {
+            this.controller.abort();
+        }
+    }
+
+    /**
+     * Throw a CancellationError if the run was cancelled
+     */
+    throwIfCancelled() {
+        if (this.isCancelled) {
+            throw new CancellationError();
+        }
+    }
+
+    /**
+     * Check whether an error was caused by a cancellation
+     * @param {Error} error - Any error
+     * @returns {boolean}
+     */
+    static isCancellation(error) {
+        return error instanceof CancellationError;
+    }
+}
@@ -0,0 +1,110 @@
+// File path: js/utils/change-preview.js
+// Change Preview Module - Per-row diff of pending sheet writes for dry-run review
+import { APP_CONFIG } from '../../config/config.js';
+
+/**
+ * Build and apply dry-run previews
+ * Compares the current llm_* / updated_json cells with the values a run would write
+ */
+export const ChangePreview = {
+    /**
+     * Fields written by a run, in sheet order
+     * @param {string} dataType - 'doctor' or 'hospital'
+     * @returns {Array<string>} - Parsed field names
+     */
+    getWrittenFields(dataType) {
+        return dataType === 'doctor'
+            ? ['llm_name', 'llm_history', 'updated_json']
+            : ['llm_name', 'llm_description', 'updated_json'];
+    },
+
+    /**
+     * Get the sheet header shown for a field
+     * @param {string} field - Parsed field name
+     * @param {string} dataType - 'doctor' or 'hospital'
+     * @returns {string}
+     */
+    getFieldLabel(field, dataType) {
+        return APP_CONFIG.SHEET_HEADERS[dataType.toUpperCase()][field] || field;
+    },
+
+    /**
+     * Build the preview rows: every row where at least one written cell changes
+     * @param {Array} rows - Parsed rows (current sheet values)
+     * @param {Array} translationResults - Results from TranslationService.translateRows
+     * @param {Array} jsonResults - Results from JSONBuilder.buildBatchJSON
+     * @param {string} dataType - 'doctor' or 'hospital'
+     * @returns {Array<Object>} - { rowIndex, sheetRow, id, fields: [{ field, current, proposed, changed }] }
+     */
+    buildRows(rows, translationResults, jsonResults, dataType) {
+        const contentKey = dataType === 'doctor' ? 'history' : 'description';
+
+        const translations = new Map(
+            translationResults
+                .filter(r => r.success && !r.skipped && r.translated)
+                .map(r => [r.rowIndex, r.translated])
+        );
+        const jsons = new Map(
+            jsonResults
+                .filter(r => r.success)
+                .map(r => [r.rowIndex, r.json || r.updated_json])
+        );
+
+        const preview = [];
+
+        rows.forEach(row => {
+            // Values the writers would put in each cell (same defaults as SheetsWriter)
+            const proposed = {};
+            const translated = translations.get(row.rowIndex);
+            if (translated) {
+                proposed.llm_name = translated.name || '';
+                proposed[`llm_${contentKey}`] = translated[contentKey] || '';
+            }
+            if (jsons.has(row.rowIndex)) {
+                proposed.updated_json = jsons.get(row.rowIndex);
+            }
+
+            const fields = this.getWrittenFields(dataType)
+                .filter(field => field in proposed)
+                .map(field => {
+                    // Raw cell value, including escaping artefacts repaired by the parser
+                    const current = row.escapedArtefacts?.[field] ?? (row[field] || '');
+                    return {
+                        field,
+                        current,
+                        proposed: proposed[field],
+                        changed: current !== proposed[field]
+                    };
+                });
+
+            if (fields.some(f => f.changed)) {
+                preview.push({
+                    rowIndex: row.rowIndex,
+                    sheetRow: row.rowIndex + 2, // +2 for header and 0-index
+                    id: row.id,
+                    fields
+                });
+            }
+        });
+
+        return preview;
+    },
+
+    /**
+     * Keep only results for approved rows
+     * @param {Array} results - Translation or JSON results with rowIndex
+     * @param {Set<number>} approvedRows - Approved row indices
+     * @returns {Array} - Filtered results
+     */
+    filterApproved(results, approvedRows) {
+        return results.filter(result => approvedRows.has(result.rowIndex));
+    }
+};
+
+/**
+ * Export individual functions for convenience
+ */
+export const {
+    buildRows,
+    filterApproved
+} = ChangePreview;
@@ -0,0 +1,87 @@
+// File path: js/utils/concurrency.js
+// Concurrency Module - Shared rate limiter and bounded worker pool for provider requests
+import { CancellationError } from './cancellation.js';
+
+/**
+ * Rate Limiter
+ * Spaces requests at least 1000 / requestsPerSecond ms apart. Every caller
+ * reserves the next free slot before waiting, so concurrent workers sharing
+ * one limiter never start two requests in the same slot.
+ */
+export class RateLimiter {
+    /**
+     * @param {number} requestsPerSecond - Maximum request rate
+     */
+    constructor(requestsPerSecond) {
+        this.minInterval = 1000 / requestsPerSecond;
+        this.nextSlot = 0;
+        this.requestCount = 0;
+    }
+
+    /**
+     * Wait for the next free request slot
+     * @param {AbortSignal} signal - Optional signal that aborts the wait
+     * @returns {Promise<void>}
+     */
+    acquire(signal) {
+        const now = Date.now();
+        const slot = Math.max(now, this.nextSlot);
+        this.nextSlot = slot + this.minInterval;
+        this.requestCount++;
+
+        const waitTime = slot - now;
+        if (waitTime <= 0) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new CancellationError());
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(new CancellationError());
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, waitTime);
+
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+}
+
+/**
+ * Run an async worker over items with at most `limit` calls in flight
+ * Results keep the order of the items regardless of completion order.
+ * The first error stops workers from starting new items and rejects the pool.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} - Results in item order
+ */
+export async function runPool(items, limit, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    let stopped = false;
+
+    const runWorker = async () => {
+        while (!stopped && nextIndex < items.length) {
+            const index = nextIndex++;
+            try {
+                results[index] = await worker(items[index], index);
+            } catch (error) {
+                stopped = true;
+                throw error;
+            }
+        }
+    };
+
+    const workerCount = Math.max(1, Math.min(limit, items.length));
+    await Promise.all(Array.from({ length: workerCount }, runWorker));
+
+    return results;
+}
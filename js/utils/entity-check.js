@@ -0,0 +1,184 @@
+// File path: js/utils/entity-check.js
+// Entity Check Module - Compares numbers, years, URLs and emails between source and translation
+import { APP_CONFIG } from '../../config/config.js';
+
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"'()]+|\bwww\.[^\s<>"'()]+/gi;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+
+// Dates such as 2015.03.01 or 2015-03 only contribute their year
+const DATE_PATTERN = /\b((?:19|20)\d{2})[.\-/](?:0?[1-9]|1[0-2])(?:[.\-/](?:0?[1-9]|[12]\d|3[01]))?\.?/g;
+
+// Numbers with optional thousands separators and decimals, plus Korean or CJK units
+// (만/万 = 10,000). Units compound (3천만 = 30,000,000) and groups chain (1억 5천만).
+const NUMBER_PATTERN = /\d+(?:,\d{3})*(?:\.\d+)?(?:\s*[천千만万萬억億]+(?:\s*\d+(?:\.\d+)?\s*[천千만万萬억億]+)*)?/g;
+const NUMBER_GROUP_PATTERN = /(\d+(?:,\d{3})*(?:\.\d+)?)\s*([천千만万萬억億]*)/g;
+const NUMBER_UNITS = { '천': 1e3, '千': 1e3, '만': 1e4, '万': 1e4, '萬': 1e4, '억': 1e8, '億': 1e8 };
+
+// Month and day numbers (3월, 15일) are written as words in most translations
+const KOREAN_DATE_SUFFIX = /^\s*(월|일)/;
+
+const YEAR_PATTERN = /^(19|20)\d{2}$/;
+
+/**
+ * Entity Check
+ * A translation that drops or changes a number is dangerous in medical content.
+ * Every source number, year, URL and email must appear in the translation;
+ * years, URLs and emails that appear only in the translation are reported too.
+ */
+export const EntityCheck = {
+    /**
+     * Normalize digits (full-width and Thai digits) to ASCII
+     * @param {string} text - Text
+     * @returns {string}
+     */
+    normalizeDigits(text) {
+        return String(text ?? '')
+            .normalize('NFKC')
+            .replace(/[\u0E50-\u0E59]/g, digit => String(digit.charCodeAt(0) - 0x0E50));
+    },
+
+    /**
+     * Extract entities from a text
+     * @param {string} text - Source or translated text
+     * @returns {Object} - { years, numbers, urls, emails } (arrays, duplicates kept)
+     */
+    extract(text) {
+        let value = this.normalizeDigits(text);
+        const entities = { years: [], numbers: [], urls: [], emails: [] };
+
+        value = value.replace(URL_PATTERN, url => {
+            entities.urls.push(url.replace(/[.,;:!?]+$/, '').replace(/\/$/, '').toLowerCase());
+            return ' ';
+        });
+        value = value.replace(EMAIL_PATTERN, email => {
+            entities.emails.push(email.toLowerCase());
+            return ' ';
+        });
+        value = value.replace(DATE_PATTERN, (match, year) => {
+            entities.years.push(year);
+            return ' ';
+        });
+
+        let match;
+        NUMBER_PATTERN.lastIndex = 0;
+        while ((match = NUMBER_PATTERN.exec(value)) !== null) {
+            if (KOREAN_DATE_SUFFIX.test(value.slice(match.index + match[0].length))) continue;
+
+            const normalized = String(this.parseNumber(match[0]));
+
+            (YEAR_PATTERN.test(normalized) ? entities.years : entities.numbers).push(normalized);
+        }
+
+        return entities;
+    },
+
+    /**
+     * Value of a matched number with its units (5만 and 5万 -> 50000, 1억 5천만 -> 150000000)
+     * @param {string} text - Match of NUMBER_PATTERN
+     * @returns {number}
+     */
+    parseNumber(text) {
+        let total = 0;
+        for (const [, digits, units] of text.matchAll(NUMBER_GROUP_PATTERN)) {
+            const multiplier = [...units].reduce((product, unit) => product * NUMBER_UNITS[unit], 1);
+            total += parseFloat(digits.replace(/,/g, '')) * multiplier;
+        }
+        // Drop float noise from decimals with units (1.1억)
+        return parseFloat(total.toPrecision(12));
+    },
+
+    /**
+     * Values of `expected` not found in `actual` (multiset difference)
+     * @param {Array<string>} expected - Values
+     * @param {Array<string>} actual - Values
+     * @returns {Array<string>}
+     */
+    difference(expected, actual) {
+        const remaining = [...actual];
+        return expected.filter(value => {
+            const index = remaining.indexOf(value);
+            if (index === -1) return true;
+            remaining.splice(index, 1);
+            return false;
+        });
+    },
+
+    /**
+     * Compare the entities of a source text and its translation
+     * @param {string} source - Korean source text
+     * @param {string} translated - Translated text
+     * @returns {Array<string>} - Mismatch descriptions (empty when consistent)
+     */
+    compare(source, translated) {
+        const expected = this.extract(source);
+        const actual = this.extract(translated);
+        const mismatches = [];
+
+        ['years', 'numbers', 'urls', 'emails'].forEach(kind => {
+            const missing = this.difference(expected[kind], actual[kind]);
+            if (missing.length > 0) {
+                mismatches.push(`missing ${kind} ${missing.join(', ')}`);
+            }
+
+            // Extra plain numbers are usually spelled-out dates or counts; only report the rest
+            const unexpected = kind === 'numbers' ? [] : this.difference(actual[kind], expected[kind]);
+            if (unexpected.length > 0) {
+                mismatches.push(`unexpected ${kind} ${unexpected.join(', ')}`);
+            }
+        });
+
+        return mismatches;
+    },
+
+    /**
+     * Check the history/description of every translated row against its source
+     * @param {Array} results - Results from TranslationService.translateRows
+     * @param {Array} rows - Parsed rows (Korean source, or the pivot source for rows without Korean)
+     * @param {string} dataType - 'doctor' or 'hospital'
+     * @returns {Array<Object>} - Mismatched rows: { id, rowIndex, sheetRow, mismatches }
+     */
+    checkResults(results, rows, dataType) {
+        const contentField = APP_CONFIG.TRANSLATION.FIELDS[dataType.toUpperCase()][1];
+        const rowsById = new Map(rows.map(row => [row.id, row]));
+        const flagged = [];
+
+        results
+            .filter(result => result.success && !result.skipped && result.translated)
+            .forEach(result => {
+                const row = rowsById.get(result.id);
+                const source = !row ? '' : row.pivotSource ? row.pivotSource[contentField] : row[`kr_${contentField}`];
+                if (!source || !source.trim()) return;
+
+                const mismatches = this.compare(source, result.translated[contentField]);
+                if (mismatches.length > 0) {
+                    flagged.push({
+                        id: result.id,
+                        rowIndex: result.rowIndex,
+                        sheetRow: result.rowIndex + 2, // +2 for header and 0-index
+                        mismatches
+                    });
+                }
+            });
+
+        return flagged;
+    },
+
+    /**
+     * Describe a mismatched row for the error list
+     * @param {Object} flag - Row from checkResults
+     * @returns {string} - e.g. "Row 7 (id H-12): numbers - missing years 2015"
+     */
+    describe(flag) {
+        return `Row ${flag.sheetRow} (id ${flag.id}): numbers - ${flag.mismatches.join('; ')}`;
+    }
+};
+
+/**
+ * Export individual functions for convenience
+ */
+export const {
+    extract,
+    compare,
+    checkResults,
+    describe
+} = EntityCheck;
@@ -0,0 +1,146 @@
+// File path: js/utils/idb-store.js
+// IndexedDB Store Module - Minimal promise wrapper around a single object store
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} - Request result
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * IndexedDB Store
+ * One database with one object store, opened lazily on first use
+ */
+export class IDBStore {
+    /**
+     * @param {string} dbName - Database name
+     * @param {string} storeName - Object store name
+     * @param {string} keyPath - Key path of stored records
+     */
+    constructor(dbName, storeName, keyPath = 'key') {
+        this.dbName = dbName;
+        this.storeName = storeName;
+        this.keyPath = keyPath;
+        this.dbPromise = null;
+    }
+
+    /**
+     * Check if IndexedDB is available in this browser
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and create if needed) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.dbPromise) {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                if (!request.result.objectStoreNames.contains(this.storeName)) {
+                    request.result.createObjectStore(this.storeName, { keyPath: this.keyPath });
+                }
+            };
+            this.dbPromise = promisify(request).catch(error => {
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a callback inside a transaction and wait for it to complete
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} callback - Receives the object store, returns a value
+     * @returns {Promise<*>} - Callback result once the transaction completes
+     */
+    async transaction(mode, callback) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const result = callback(tx.objectStore(this.storeName));
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    /**
+     * Get a single record
+     * @param {string} key - Record key
+     * @returns {Promise<Object|undefined>}
+     */
+    async get(key) {
+        const db = await this.open();
+        return promisify(db.transaction(this.storeName).objectStore(this.storeName).get(key));
+    }
+
+    /**
+     * Get several records in one transaction
+     * @param {Array<string>} keys - Record keys
+     * @returns {Promise<Array<Object|undefined>>} - Records in key order
+     */
+    async getMany(keys) {
+        const db = await this.open();
+        const store = db.transaction(this.storeName).objectStore(this.storeName);
+        return Promise.all(keys.map(key => promisify(store.get(key))));
+    }
+
+    /**
+     * Get all records
+     * @returns {Promise<Array<Object>>}
+     */
+    async getAll() {
+        const db = await this.open();
+        return promisify(db.transaction(this.storeName).objectStore(this.storeName).getAll());
+    }
+
+    /**
+     * Insert or replace records
+     * @param {Array<Object>} records - Records containing the key path
+     */
+    async putMany(records) {
+        if (records.length === 0) return;
+        await this.transaction('readwrite', store => {
+            records.forEach(record => store.put(record));
+        });
+    }
+
+    /**
+     * Insert or replace a record
+     * @param {Object} record - Record containing the key path
+     */
+    async put(record) {
+        await this.putMany([record]);
+    }
+
+    /**
+     * Delete a record
+     * @param {string} key - Record key
+     */
+    async delete(key) {
+        await this.transaction('readwrite', store => {
+            store.delete(key);
+        });
+    }
+
+    /**
+     * Delete all records
+     */
+    async clear() {
+        await this.transaction('readwrite', store => {
+            store.clear();
+        });
+    }
+}
@@ -1,8 +1,10 @@
 // File path: js/utils/json-builder.js
 // JSON Builder Module - Multi-language JSON generation with full priority chain
 // UPDATED: Support for multi-language JSON and extended priority chain
+// UPDATED: Values translated from a pivot language record it as source_lang
 import { APP_CONFIG } from '../../config/config.js';
 import { MultiLanguageJSONHandler } from './multi-language-json-handler.js';
+import { LanguageRegistry } from './language-registry.js';
 
 /**
  * JSON Builder
@@ -15,7 +17,7 @@ export const JSONBuilder = {
      * UPDATED: Now uses buildUpdatedJSON internally
      * @param {Object} row - Parsed row data
      * @param {string} dataType - 'doctor' or 'hospital'
-     * @param {string} language - Target language (en/ja/th)
+     * @param {string} language - Target language (APP_CONFIG.LANGUAGES key)
      * @returns {Object} - JSON object and string
      */
     buildJSON(row, dataType, language = null) {
@@ -62,15 +64,28 @@ export const JSONBuilder = {
             };
         
         // Merge with existing JSON
+        let merged;
         if (MultiLanguageJSONHandler && typeof MultiLanguageJSONHandler.merge === 'function') {
-            return MultiLanguageJSONHandler.merge(baseJSON, language, languageData);
+            merged = MultiLanguageJSONHandler.merge(baseJSON, language, languageData);
         } else {
             // Fallback if handler not available
-            return {
+            merged = {
                 ...baseJSON,
                 [language]: languageData
             };
         }
+        
+        // Record the pivot language; Korean-sourced values carry no source_lang
+        if (merged[language]) {
+            merged[language] = { ...merged[language] };
+            if (row.pivotSource) {
+                merged[language].source_lang = row.sourceLanguage;
+            } else {
+                delete merged[language].source_lang;
+            }
+        }
+        
+        return merged;
     },
     
     /**
@@ -377,8 +392,8 @@ export const JSONBuilder = {
             Object.keys(item).forEach(key => {
                 if (MultiLanguageJSONHandler && MultiLanguageJSONHandler.isValidLanguage(key)) {
                     languages.add(key);
-                } else if (!MultiLanguageJSONHandler && ['en', 'ja', 'th'].includes(key)) {
-                    // Fallback to hardcoded languages if handler not available
+                } else if (!MultiLanguageJSONHandler && LanguageRegistry.has(key)) {
+                    // Fallback to the language registry if handler not available
                     languages.add(key);
                 }
             });
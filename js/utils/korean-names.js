@@ -0,0 +1,298 @@
+// File path: js/utils/korean-names.js
+// Korean Names Module - Rule-based transliteration of Korean personal names
+import { APP_CONFIG } from '../../config/config.js';
+
+// Hangul syllable block layout: 0xAC00 + (initial * 21 + medial) * 28 + final
+const HANGUL_BASE = 0xAC00;
+
+/**
+ * Revised Romanization tables, indexed by jamo position in the syllable block
+ */
+const RR_INITIALS = ['g', 'kk', 'n', 'd', 'tt', 'r', 'm', 'b', 'pp', 's', 'ss', '', 'j', 'jj', 'ch', 'k', 't', 'p', 'h'];
+const RR_MEDIALS = ['a', 'ae', 'ya', 'yae', 'eo', 'e', 'yeo', 'ye', 'o', 'wa', 'wae', 'oe', 'yo', 'u', 'wo', 'we', 'wi', 'yu', 'eu', 'ui', 'i'];
+const RR_FINALS = ['', 'k', 'k', 'k', 'n', 'n', 'n', 't', 'l', 'k', 'm', 'l', 'l', 'l', 'p', 'l', 'm', 'p', 'p', 't', 't', 'ng', 't', 't', 'k', 't', 'p', 't'];
+
+// Medial -> [glide, base vowel] used by the katakana and Thai renderers
+const MEDIAL_PARTS = [
+    ['', 'a'], ['', 'ae'], ['y', 'a'], ['y', 'ae'], ['', 'eo'], ['', 'e'], ['y', 'eo'], ['y', 'e'],
+    ['', 'o'], ['w', 'a'], ['w', 'ae'], ['w', 'e'], ['y', 'o'], ['', 'u'], ['w', 'eo'], ['w', 'e'],
+    ['w', 'i'], ['y', 'u'], ['', 'eu'], ['', 'ui'], ['', 'i']
+];
+
+// Korean surnames written with two syllables
+const COMPOUND_SURNAMES = ['남궁', '황보', '제갈', '선우', '독고', '사공', '서문', '동방'];
+
+// Titles written after a name (김민수원장, 김민수 교수); such values go to the provider
+const NAME_TITLES = [
+    '대표원장', '병원장', '부원장', '원장', '센터장', '교수', '전문의', '의사',
+    '박사', '선생님', '선생', '대표', '실장', '과장', '부장', '이사장', '님'
+];
+
+/**
+ * Katakana rows (a, i, u, e, o) by romanized initial
+ * Aspirated and tense consonants share the plain row, as in Japanese usage
+ */
+const KANA_ROWS = {
+    '': ['ア', 'イ', 'ウ', 'エ', 'オ'],
+    k: ['カ', 'キ', 'ク', 'ケ', 'コ'],
+    n: ['ナ', 'ニ', 'ヌ', 'ネ', 'ノ'],
+    t: ['タ', 'ティ', 'トゥ', 'テ', 'ト'],
+    r: ['ラ', 'リ', 'ル', 'レ', 'ロ'],
+    m: ['マ', 'ミ', 'ム', 'メ', 'モ'],
+    p: ['パ', 'ピ', 'プ', 'ペ', 'ポ'],
+    s: ['サ', 'シ', 'ス', 'セ', 'ソ'],
+    ch: ['チャ', 'チ', 'チュ', 'チェ', 'チョ'],
+    h: ['ハ', 'ヒ', 'フ', 'ヘ', 'ホ'],
+    g: ['ガ', 'ギ', 'グ', 'ゲ', 'ゴ'],
+    d: ['ダ', 'ディ', 'ドゥ', 'デ', 'ド'],
+    b: ['バ', 'ビ', 'ブ', 'ベ', 'ボ'],
+    j: ['ジャ', 'ジ', 'ジュ', 'ジェ', 'ジョ']
+};
+const KANA_INITIALS = ['k', 'k', 'n', 't', 't', 'r', 'm', 'p', 'p', 's', 's', '', 'ch', 'ch', 'ch', 'k', 't', 'p', 'h'];
+// Plain ㄱ/ㄷ/ㅂ/ㅈ are voiced after a vowel or ㄴ/ㄹ/ㅁ/ㅇ (홍길동 -> ホン・ギルドン)
+const KANA_VOICED_INITIALS = { 0: 'g', 3: 'd', 7: 'b', 12: 'j' };
+const VOICED_FINALS = ['', 'n', 'l', 'm', 'ng'];
+const KANA_VOWEL_COLUMN = { a: 0, ae: 3, eo: 4, e: 3, o: 4, u: 2, eu: 2, ui: 1, i: 1 };
+const KANA_Y_VOWELS = { a: 'a', ae: 'e', eo: 'o', e: 'e', o: 'o', u: 'u' };
+const KANA_Y_SYLLABLES = { a: 'ヤ', u: 'ユ', o: 'ヨ', e: 'イェ' };
+const KANA_SMALL_Y = { a: 'ャ', u: 'ュ', o: 'ョ' };
+const KANA_SMALL_W = { a: 'ァ', i: 'ィ', e: 'ェ', o: 'ォ' };
+const KANA_FINALS = { '': '', k: 'ク', n: 'ン', t: 'ッ', l: 'ル', m: 'ム', p: 'プ', ng: 'ン' };
+
+/**
+ * Thai consonants by jamo initial, vowel templates (C = consonant cluster,
+ * F = final) for open and closed syllables, and finals by RR final
+ */
+const THAI_INITIALS = ['ค', 'ก', 'น', 'ท', 'ต', 'ร', 'ม', 'พ', 'ป', 'ซ', 'ซ', '', 'จ', 'จ', 'ช', 'ค', 'ท', 'พ', 'ฮ'];
+const THAI_VOWELS = {
+    a: ['Cา', 'CัF'],
+    ae: ['แC', 'แCF'],
+    eo: ['Cอ', 'CอF'],
+    e: ['เC', 'เCF'],
+    o: ['โC', 'โCF'],
+    u: ['Cู', 'CุF'],
+    eu: ['Cือ', 'CึF'],
+    ui: ['Cึย', 'CึF'],
+    i: ['Cี', 'CิF']
+};
+const THAI_GLIDES = { y: 'ย', w: 'ว' };
+const THAI_FINALS = { k: 'ก', n: 'น', t: 'ต', l: 'ล', m: 'ม', p: 'บ', ng: 'ง' };
+
+/**
+ * Decompose a Hangul syllable into jamo indices
+ * @param {string} char - Single Hangul syllable
+ * @returns {Object} - { initial, medial, final }
+ */
+function decompose(char) {
+    const offset = char.charCodeAt(0) - HANGUL_BASE;
+    return {
+        initial: Math.floor(offset / 588),
+        medial: Math.floor((offset % 588) / 28),
+        final: offset % 28
+    };
+}
+
+/**
+ * Capitalize the first letter of a romanized word
+ * @param {string} word - Romanized word
+ * @returns {string}
+ */
+function capitalize(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+/**
+ * Korean personal name transliteration
+ * Handles names written entirely in Hangul (e.g. 김민수); anything else
+ * (titles, Latin letters, hanja) returns null and goes to the translation provider.
+ */
+export const KoreanNames = {
+    /**
+     * Check whether a value looks like a Korean personal name
+     * (2-4 syllables, 5 only with a compound surname, optionally with a space after
+     * the surname). Values ending in a title such as 원장 or 교수 are not names.
+     * @param {string} name - Name cell value
+     * @returns {boolean}
+     */
+    isKoreanName(name) {
+        const value = String(name ?? '').trim();
+        const compact = value.replace(/\s+/g, '');
+        
+        if (NAME_TITLES.some(title => compact.length > title.length && compact.endsWith(title))) {
+            return false;
+        }
+        
+        if (/^[가-힣]{2,4}$/.test(value)) return true;
+        if (/^[가-힣]{5}$/.test(value)) return COMPOUND_SURNAMES.includes(value.slice(0, 2));
+        return /^[가-힣]{1,2}\s+[가-힣]{1,3}$/.test(value);
+    },
+
+    /**
+     * Split a name into surname and given name
+     * A space in the value wins; otherwise compound surnames are recognised
+     * and the first syllable is taken as the surname
+     * @param {string} name - Korean name
+     * @returns {Object} - { surname, givenName }
+     */
+    splitName(name) {
+        const trimmed = name.trim();
+        const parts = trimmed.split(/\s+/);
+        if (parts.length === 2) {
+            return { surname: parts[0], givenName: parts[1] };
+        }
+
+        const surnameLength = trimmed.length > 2 && COMPOUND_SURNAMES.includes(trimmed.slice(0, 2)) ? 2 : 1;
+        return {
+            surname: trimmed.slice(0, surnameLength),
+            givenName: trimmed.slice(surnameLength)
+        };
+    },
+
+    /**
+     * Romanize a Hangul word with Revised Romanization
+     * Given names are romanized without sound-change rules, except ㄹㄹ -> ll
+     * @param {string} word - Hangul syllables
+     * @returns {string}
+     */
+    romanizeWord(word) {
+        let previousFinal = 0;
+
+        return Array.from(word).map(char => {
+            const { initial, medial, final } = decompose(char);
+            const onset = initial === 5 && previousFinal === 8 ? 'l' : RR_INITIALS[initial];
+            previousFinal = final;
+            return onset + RR_MEDIALS[medial] + RR_FINALS[final];
+        }).join('');
+    },
+
+    /**
+     * Romanize a Korean name (surname exceptions from NAME_ROMANIZATION.SURNAMES)
+     * @param {string} name - Korean name, e.g. 김민수
+     * @returns {string} - e.g. "Kim Minsu"
+     */
+    romanize(name) {
+        const { surname, givenName } = this.splitName(name);
+        const surnameRoman = APP_CONFIG.NAME_ROMANIZATION.SURNAMES[surname] || capitalize(this.romanizeWord(surname));
+        return `${surnameRoman} ${capitalize(this.romanizeWord(givenName))}`;
+    },
+
+    /**
+     * Transcribe a Hangul word into katakana
+     * Plain ㄱ/ㄷ/ㅂ/ㅈ are voiced between voiced sounds, including the first
+     * syllable when the word follows one (the given name after the surname)
+     * @param {string} word - Hangul syllables
+     * @param {boolean} afterVoiced - The word follows a voiced sound
+     * @returns {string}
+     */
+    katakanaWord(word, afterVoiced = false) {
+        let voiced = afterVoiced;
+
+        return Array.from(word).map(char => {
+            const { initial, medial, final } = decompose(char);
+            const [glide, vowel] = MEDIAL_PARTS[medial];
+            const consonant = (voiced && KANA_VOICED_INITIALS[initial]) || KANA_INITIALS[initial];
+            const row = KANA_ROWS[consonant];
+            voiced = VOICED_FINALS.includes(RR_FINALS[final]);
+            let kana;
+
+            if (glide === 'y') {
+                // 여 -> ヨ, 경 -> キョン, 계 -> ケ, 정 -> チョン (ジョン when voiced)
+                const yVowel = KANA_Y_VOWELS[vowel];
+                if (consonant === '') {
+                    kana = KANA_Y_SYLLABLES[yVowel];
+                } else if (['ch', 'j', 't', 'd'].includes(consonant) || yVowel === 'e') {
+                    kana = row[KANA_VOWEL_COLUMN[yVowel]];
+                } else {
+                    kana = row[1] + KANA_SMALL_Y[yVowel];
+                }
+            } else if (glide === 'w' && consonant === '') {
+                kana = { a: 'ワ', i: 'ウィ', e: 'ウェ', ae: 'ウェ', eo: 'ウォ' }[vowel];
+            } else if (glide === 'w' && vowel !== 'e' && vowel !== 'ae') {
+                // 과 -> クァ; 최 (oe/we/wae) falls through to the e column -> チェ
+                kana = row[2] + KANA_SMALL_W[vowel === 'eo' ? 'o' : vowel];
+            } else {
+                kana = row[KANA_VOWEL_COLUMN[vowel]];
+            }
+
+            return kana + KANA_FINALS[RR_FINALS[final]];
+        }).join('');
+    },
+
+    /**
+     * Transcribe a Korean name into katakana (surname・given name)
+     * The given name is voiced after a surname ending in a vowel or ㄴ/ㄹ/ㅁ/ㅇ
+     * @param {string} name - Korean name, e.g. 김민수
+     * @returns {string} - e.g. "キム・ミンス"
+     */
+    toKatakana(name) {
+        const { surname, givenName } = this.splitName(name);
+        const surnameFinal = decompose(surname.charAt(surname.length - 1)).final;
+        return `${this.katakanaWord(surname)}・${this.katakanaWord(givenName, VOICED_FINALS.includes(RR_FINALS[surnameFinal]))}`;
+    },
+
+    /**
+     * Transcribe a Hangul word into Thai script
+     * @param {string} word - Hangul syllables
+     * @returns {string}
+     */
+    thaiWord(word) {
+        return Array.from(word).map(char => {
+            const { initial, medial, final } = decompose(char);
+            const [glide, vowel] = MEDIAL_PARTS[medial];
+            const [open, closed] = THAI_VOWELS[vowel];
+            const template = final ? closed : open;
+            const finalThai = final ? THAI_FINALS[RR_FINALS[final]] : '';
+            const consonant = THAI_INITIALS[initial];
+
+            // Leading vowels (เ แ โ) attach to the glide, e.g. 최 -> ชเว
+            if (glide && consonant && /^[เแโ]/.test(template)) {
+                return consonant + template.replace('C', THAI_GLIDES[glide]).replace('F', finalThai);
+            }
+
+            const cluster = (consonant + (glide ? THAI_GLIDES[glide] : '')) || 'อ';
+            return template.replace('C', cluster).replace('F', finalThai);
+        }).join('');
+    },
+
+    /**
+     * Transcribe a Korean name into Thai script
+     * @param {string} name - Korean name, e.g. 김민수
+     * @returns {string} - e.g. "คิม มินซู"
+     */
+    toThai(name) {
+        const { surname, givenName } = this.splitName(name);
+        return `${this.thaiWord(surname)} ${this.thaiWord(givenName)}`;
+    },
+
+    /**
+     * Transliterate a Korean name for a target language
+     * @param {string} name - Name cell value
+     * @param {string} language - Target language key
+     * @returns {string|null} - Transliteration, or null when the name or language is not handled
+     */
+    transliterate(name, language) {
+        if (!this.isKoreanName(name)) return null;
+
+        switch (language) {
+            case 'en':
+                return this.romanize(name);
+            case 'ja':
+                return this.toKatakana(name);
+            case 'th':
+                return this.toThai(name);
+            default:
+                return null;
+        }
+    }
+};
+
+/**
+ * Export individual functions for convenience
+ */
+export const {
+    isKoreanName,
+    romanize,
+    toKatakana,
+    toThai,
+    transliterate
+} = KoreanNames;
@@ -0,0 +1,86 @@
+// File path: js/utils/language-registry.js
+// Language Registry Module - Target languages and their provider codes (APP_CONFIG.LANGUAGES)
+import { APP_CONFIG } from '../../config/config.js';
+
+/**
+ * Language Registry
+ * Every part of the tool that needs the list of target languages (form,
+ * parser, JSON handler, exports, providers) reads it from here.
+ */
+export const LanguageRegistry = {
+    /**
+     * All language keys, in configuration order
+     * @returns {Array<string>} - e.g. ['en', 'ja', 'th', 'zh-Hans', ...]
+     */
+    keys() {
+        return Object.keys(APP_CONFIG.LANGUAGES);
+    },
+
+    /**
+     * List languages for display
+     * @returns {Array<Object>} - [{ key, name }]
+     */
+    list() {
+        return this.keys().map(key => ({ key, name: this.getName(key) }));
+    },
+
+    /**
+     * Check if a language key is registered (case-sensitive, as used in JSON)
+     * @param {string} key - Language key
+     * @returns {boolean}
+     */
+    has(key) {
+        return Object.prototype.hasOwnProperty.call(APP_CONFIG.LANGUAGES, key);
+    },
+
+    /**
+     * Find the registered key for a code written in any case (sheet headers)
+     * @param {string} code - e.g. 'zh-hans'
+     * @returns {string|null} - e.g. 'zh-Hans', or null when unknown
+     */
+    resolve(code) {
+        const value = String(code ?? '').trim().toLowerCase();
+        return this.keys().find(key => key.toLowerCase() === value) || null;
+    },
+
+    /**
+     * Display name of a language
+     * @param {string} key - Language key
+     * @returns {string} - e.g. 'Chinese (Simplified)'; the key itself when unknown
+     */
+    getName(key) {
+        return APP_CONFIG.LANGUAGES[key]?.NAME || key;
+    },
+
+    /**
+     * Provider-specific code for a language
+     * @param {string} key - Language key
+     * @param {string} providerId - Provider id (deepl/google/papago/openai)
+     * @returns {string|null} - Provider code, or null when the provider lacks the language
+     */
+    getProviderCode(key, providerId) {
+        return APP_CONFIG.LANGUAGES[key]?.PROVIDERS?.[providerId] || null;
+    },
+
+    /**
+     * Providers that can translate a language
+     * @param {string} key - Language key
+     * @returns {Array<string>} - Provider ids
+     */
+    getProviders(key) {
+        return Object.keys(APP_CONFIG.LANGUAGES[key]?.PROVIDERS || {});
+    }
+};
+
+/**
+ * Export individual functions for convenience
+ */
+export const {
+    keys,
+    list,
+    has,
+    resolve,
+    getName,
+    getProviderCode,
+    getProviders
+} = LanguageRegistry;
@@ -3,6 +3,7 @@
 // Handles parsing, validation, and manipulation of multi-language JSON structures
 
 import { APP_CONFIG } from '../../config/config.js';
+import { LanguageRegistry } from './language-registry.js';
 
 /**
  * Multi-Language JSON Handler
@@ -234,7 +235,7 @@ export const MultiLanguageJSONHandler = {
      * @returns {boolean} True if valid
      */
     isValidLanguage(language) {
-        return APP_CONFIG.MULTI_LANGUAGE_JSON.LANGUAGE_CODES.includes(language);
+        return LanguageRegistry.has(language);
     },
     
     /**
@@ -1,12 +1,15 @@
 // File path: js/utils/sheets-parser.js
-// Sheets Parser Module - Fixed column parser for LLM with manual override
+// Sheets Parser Module - Header-mapped column parser for LLM with manual override
 // UPDATED: Multi-language JSON support with old_ columns
+// UPDATED: Cell values are kept raw (no HTML escaping); escaping happens at render time
+// UPDATED: Rows without Korean text pivot from another language in old_json
 import { APP_CONFIG } from '../../config/config.js';
-import { sanitizeInput } from './validators.js';
+import { unescapeArtefacts, hasEscapeArtefacts, hashSourceText } from './text-utils.js';
 import { MultiLanguageJSONHandler } from './multi-language-json-handler.js';
+import { LanguageRegistry } from './language-registry.js';
 
 /**
- * Parse and validate Google Sheets data with fixed column structure
+ * Parse and validate Google Sheets data, locating columns by header name
  * Now supports multi-language JSON and old_ value columns
  */
 export const SheetsParser = {
@@ -14,7 +17,7 @@ export const SheetsParser = {
      * Parse sheet data based on data type
      * @param {Object} sheetData - Raw sheet data from SheetsService
      * @param {string} dataType - 'doctor' or 'hospital'
-     * @param {string} language - Target language (en/ja/th)
+     * @param {string} language - Target language (APP_CONFIG.LANGUAGES key)
      * @returns {Object} - Parsed and validated data
      */
     parseData(sheetData, dataType, language) {
@@ -28,63 +31,63 @@ export const SheetsParser = {
         }
         
         // Validate language
-        if (!['en', 'ja', 'th'].includes(language)) {
+        if (!LanguageRegistry.has(language)) {
             throw new Error(`Invalid language: ${language}`);
         }
         
-        // Get expected column structure
-        const columnStructure = APP_CONFIG.SHEET_COLUMNS[dataType.toUpperCase()];
-        
-        // Validate headers if present
-        if (sheetData.headers && sheetData.headers.length > 0) {
-            this.validateHeaders(sheetData.headers, dataType);
-        }
+        // Locate columns by header name - UPDATED
+        const columnMap = this.buildColumnMap(sheetData.headers, dataType);
         
         // Parse rows
-        const parsedData = this.parseRows(sheetData.rows, dataType, columnStructure, language);
+        const parsedData = this.parseRows(sheetData.rows, dataType, columnMap, language);
         
         // Add metadata
         parsedData.sheetName = sheetData.sheetName;
         parsedData.language = language;
         parsedData.dataType = dataType;
+        parsedData.columnMap = columnMap;
         
         return parsedData;
     },
     
     /**
-     * Validate headers match expected structure
-     * UPDATED: Now expects more columns due to new structure
+     * Build the column map from the header row
+     * NEW METHOD: replaces fixed column indices
      * @param {Array} headers - Sheet headers
      * @param {string} dataType - Data type
+     * @returns {Object} - Field name -> column index (missing optional columns are omitted)
      */
-    validateHeaders(headers, dataType) {
-        const expectedHeaders = {
-            doctor: ['id', 'kr_name', 'kr_history', 'language', 'old_name', 'old_history', 'old_json', 'manual_name', 'manual_history', 'LLM_name', 'LLM_history', 'updated_json'],
-            hospital: ['id', 'kr_name', 'kr_description', 'language', 'old_name', 'old_description', 'old_json', 'manual_name', 'manual_description', 'LLM_name', 'LLM_description', 'updated_json']
-        };
-        
-        const expected = expectedHeaders[dataType];
-        const minRequired = 4; // At least id, kr_name, kr_history/description, and language
+    buildColumnMap(headers, dataType) {
+        const expectedHeaders = APP_CONFIG.SHEET_HEADERS[dataType.toUpperCase()];
+        const required = APP_CONFIG.VALIDATION.REQUIRED_COLUMNS[dataType.toUpperCase()];
+        const normalized = (headers || []).map(h => String(h || '').trim().toLowerCase());
+        const columnMap = {};
+        
+        Object.entries(expectedHeaders).forEach(([field, header]) => {
+            const index = normalized.indexOf(header.toLowerCase());
+            if (index === -1) return;
+            
+            if (normalized.indexOf(header.toLowerCase(), index + 1) !== -1) {
+                console.warn(`Header "${header}" appears more than once, using column ${index + 1}`);
+            }
+            columnMap[field] = index;
+        });
         
-        if (headers.length < minRequired) {
-            throw new Error(`Insufficient columns. Expected at least ${minRequired}, found ${headers.length}`);
+        const missing = required.filter(field => columnMap[field] === undefined);
+        if (missing.length > 0) {
+            const names = missing.map(field => expectedHeaders[field]);
+            throw new Error(`Invalid sheet structure: missing required column(s) ${names.join(', ')}`);
         }
         
-        // Check first 4 required columns
-        const requiredColumns = expected.slice(0, 4);
-        requiredColumns.forEach((col, index) => {
-            if (headers[index] && headers[index].toLowerCase() !== col.toLowerCase()) {
-                console.warn(`Column ${index} expected to be "${col}", found "${headers[index]}"`);
-            }
-        });
+        return columnMap;
     },
     
     /**
-     * Parse rows with fixed column structure
+     * Parse rows using the header column map
      * UPDATED: Added statistics for old_ values
      * @param {Array} rows - Sheet rows
      * @param {string} dataType - Data type
-     * @param {Object} columnStructure - Column index mapping
+     * @param {Object} columnStructure - Column index mapping from buildColumnMap
      * @param {string} language - Target language for validation
      * @returns {Object} - Parsed data with statistics
      */
@@ -101,16 +104,18 @@ export const SheetsParser = {
             rowsWithOldValues: 0,          // NEW
             rowsWithValidOldJSON: 0,       // NEW
             rowsWithContentChanges: 0,     // NEW
-            languageMismatches: 0          // NEW
+            languageMismatches: 0,         // NEW
+            rowsWithEscapedArtefacts: 0,   // NEW: HTML-escaped text from earlier versions
+            rowsWithPivotSource: 0         // NEW: No Korean text, translated from old_json
         };
         
         rows.forEach((row, index) => {
             try {
-                const parsedRow = this.parseRow(row, dataType, columnStructure, language);
+                const parsedRow = this.parseRow(row, dataType, columnStructure, language, index);
                 
-                // Validate required fields
-                if (!parsedRow.id || !parsedRow.kr_name) {
-                    throw new Error('Missing required fields: id or kr_name');
+                // Validate required fields (a pivot source stands in for kr_name)
+                if (!parsedRow.id || (!parsedRow.kr_name && !parsedRow.pivotSource)) {
+                    throw new Error('Missing required fields: id or kr_name (and no old_json language to translate from)');
                 }
                 
                 // Update statistics
@@ -149,6 +154,14 @@ export const SheetsParser = {
                     statistics.languageMismatches++;
                 }
                 
+                if (Object.keys(parsedRow.escapedArtefacts).length > 0) {
+                    statistics.rowsWithEscapedArtefacts++;
+                }
+                
+                if (parsedRow.pivotSource) {
+                    statistics.rowsWithPivotSource++;
+                }
+                
                 data.push(parsedRow);
             } catch (error) {
                 errors.push({
@@ -173,18 +186,30 @@ export const SheetsParser = {
      * @param {string} dataType - Data type
      * @param {Object} columnStructure - Column indices
      * @param {string} expectedLanguage - Expected language from form
+     * @param {number} rowIndex - Index of the row below the header (sheet row = rowIndex + 2)
      * @returns {Object} - Parsed row object
      */
-    parseRow(row, dataType, columnStructure, expectedLanguage) {
+    parseRow(row, dataType, columnStructure, expectedLanguage, rowIndex) {
+        // Optional columns missing from the sheet read as empty
         const getValue = (index) => {
-            return index < row.length ? row[index] : '';
+            return index !== undefined && index < row.length ? row[index] : '';
+        };
+        
+        // NEW: Migration - llm_* cells and old_json written by earlier versions may hold
+        // HTML-escaped text (&amp;, &lt;, ...). Values are repaired here; the raw cell is
+        // kept in escapedArtefacts so the repaired value is written back.
+        const escapedArtefacts = {};
+        const repair = (field, value) => {
+            if (!hasEscapeArtefacts(value)) return value;
+            escapedArtefacts[field] = value;
+            return unescapeArtefacts(value);
         };
         
         // Base fields
         const parsedRow = {
             id: getValue(columnStructure.id),
-            kr_name: sanitizeInput(getValue(columnStructure.kr_name) || ''),
-            rowIndex: row.length > 0 ? row[0] : null // Store original row index if available
+            kr_name: getValue(columnStructure.kr_name) || '',
+            rowIndex: rowIndex
         };
         
         // NEW: Language field
@@ -193,27 +218,28 @@ export const SheetsParser = {
         
         // Type-specific Korean source field and NEW old_ fields
         if (dataType === 'doctor') {
-            parsedRow.kr_history = sanitizeInput(getValue(columnStructure.kr_history) || '');
-            parsedRow.old_name = sanitizeInput(getValue(columnStructure.old_name) || '');
-            parsedRow.old_history = sanitizeInput(getValue(columnStructure.old_history) || '');
-            parsedRow.manual_name = sanitizeInput(getValue(columnStructure.manual_name) || '');
-            parsedRow.manual_history = sanitizeInput(getValue(columnStructure.manual_history) || '');
-            parsedRow.llm_name = sanitizeInput(getValue(columnStructure.llm_name) || '');
-            parsedRow.llm_history = sanitizeInput(getValue(columnStructure.llm_history) || '');
+            parsedRow.kr_history = getValue(columnStructure.kr_history) || '';
+            parsedRow.old_name = getValue(columnStructure.old_name) || '';
+            parsedRow.old_history = getValue(columnStructure.old_history) || '';
+            parsedRow.manual_name = getValue(columnStructure.manual_name) || '';
+            parsedRow.manual_history = getValue(columnStructure.manual_history) || '';
+            parsedRow.llm_name = repair('llm_name', getValue(columnStructure.llm_name) || '');
+            parsedRow.llm_history = repair('llm_history', getValue(columnStructure.llm_history) || '');
         } else {
-            parsedRow.kr_description = sanitizeInput(getValue(columnStructure.kr_description) || '');
-            parsedRow.old_name = sanitizeInput(getValue(columnStructure.old_name) || '');
-            parsedRow.old_description = sanitizeInput(getValue(columnStructure.old_description) || '');
-            parsedRow.manual_name = sanitizeInput(getValue(columnStructure.manual_name) || '');
-            parsedRow.manual_description = sanitizeInput(getValue(columnStructure.manual_description) || '');
-            parsedRow.llm_name = sanitizeInput(getValue(columnStructure.llm_name) || '');
-            parsedRow.llm_description = sanitizeInput(getValue(columnStructure.llm_description) || '');
+            parsedRow.kr_description = getValue(columnStructure.kr_description) || '';
+            parsedRow.old_name = getValue(columnStructure.old_name) || '';
+            parsedRow.old_description = getValue(columnStructure.old_description) || '';
+            parsedRow.manual_name = getValue(columnStructure.manual_name) || '';
+            parsedRow.manual_description = getValue(columnStructure.manual_description) || '';
+            parsedRow.llm_name = repair('llm_name', getValue(columnStructure.llm_name) || '');
+            parsedRow.llm_description = repair('llm_description', getValue(columnStructure.llm_description) || '');
         }
         
         // NEW: Parse old_json
         const oldJsonString = getValue(columnStructure.old_json) || '';
         parsedRow.old_json = oldJsonString; // Keep original string
-        parsedRow.old_json_parsed = this.parseOldJSON(oldJsonString);
+        parsedRow.old_json_parsed = this.parseOldJSON(repair('old_json', oldJsonString));
+        parsedRow.escapedArtefacts = escapedArtefacts;
         
         // NEW: Extract values from old_json for current language
         if (parsedRow.old_json_parsed && parsedRow.language && MultiLanguageJSONHandler) {
@@ -226,19 +252,84 @@ export const SheetsParser = {
             parsedRow.old_json_values = {};
         }
         
+        // NEW: Pivot - with no Korean text at all, another language in old_json is the source
+        parsedRow.sourceLanguage = APP_CONFIG.SOURCE_LANGUAGE.KEY;
+        parsedRow.pivotSource = null;
+        const contentField = dataType === 'doctor' ? 'history' : 'description';
+        if (!parsedRow.kr_name && !parsedRow[`kr_${contentField}`]) {
+            const pivot = this.findPivotSource(parsedRow.old_json_parsed, parsedRow.language, dataType);
+            if (pivot) {
+                parsedRow.sourceLanguage = pivot.language;
+                parsedRow.pivotSource = pivot.values;
+            }
+        }
+        
         // Updated JSON result column (renamed from json_result)
         parsedRow.updated_json = getValue(columnStructure.updated_json) || '';
         
+        // NEW: Source hashes written with the last translation ({} for legacy rows)
+        parsedRow.source_hashes = this.parseSourceHashes(getValue(columnStructure.source_hash));
+        
         // Metadata flags
         parsedRow.hasManualOverride = this.hasManualOverride(parsedRow, dataType);
         parsedRow.hasLLMTranslation = this.hasLLMTranslation(parsedRow, dataType);
         parsedRow.hasOldValues = this.hasOldValues(parsedRow, dataType); // NEW
         parsedRow.contentChanged = this.hasContentChanged(parsedRow, dataType); // NEW
+        parsedRow.changedFields = this.getChangedFields(parsedRow, dataType); // NEW: Fields to (re)translate
         parsedRow.needsTranslation = this.needsTranslation(parsedRow, dataType);
         
         return parsedRow;
     },
     
+    /**
+     * Find the old_json language to translate from when a row has no Korean text
+     * NEW METHOD - Languages are tried in SOURCE_LANGUAGE.PIVOT_LANGUAGES order. Rows whose
+     * old_json already holds the target language are left alone (nothing to translate).
+     * @param {Object} oldJSON - Parsed old_json
+     * @param {string} targetLanguage - Target language key
+     * @param {string} dataType - Data type
+     * @returns {Object|null} - { language, values: { name, history|description } } or null
+     */
+    findPivotSource(oldJSON, targetLanguage, dataType) {
+        const contentField = dataType === 'doctor' ? 'history' : 'description';
+        const hasContent = language => !!(oldJSON?.[language]?.name || oldJSON?.[language]?.[contentField]);
+        
+        if (!oldJSON || hasContent(targetLanguage)) {
+            return null;
+        }
+        
+        const language = APP_CONFIG.SOURCE_LANGUAGE.PIVOT_LANGUAGES.find(lang => lang !== targetLanguage && hasContent(lang));
+        if (!language) {
+            return null;
+        }
+        
+        return {
+            language,
+            values: {
+                name: String(oldJSON[language].name || ''),
+                [contentField]: String(oldJSON[language][contentField] || '')
+            }
+        };
+    },
+    
+    /**
+     * Parse a source_hash cell
+     * NEW METHOD
+     * @param {string} value - Cell value, e.g. {"name":"1a2b3c4d","history":"5e6f7a8b"}
+     * @returns {Object} - Field -> hash (empty for blank or invalid cells)
+     */
+    parseSourceHashes(value) {
+        if (!value || !String(value).trim()) return {};
+        
+        try {
+            const parsed = JSON.parse(value);
+            return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+        } catch (error) {
+            console.warn('Ignoring invalid source_hash cell:', value);
+            return {};
+        }
+    },
+    
     /**
      * Parse old JSON using MultiLanguageJSONHandler
      * NEW METHOD
@@ -300,21 +391,57 @@ export const SheetsParser = {
     /**
      * Check if content has changed from old values
      * NEW METHOD
+     * UPDATED: Compares source hashes when the row has them (see hasFieldChanged)
      * @param {Object} row - Parsed row
      * @param {string} dataType - Data type
      * @returns {boolean}
      */
     hasContentChanged(row, dataType) {
-        if (dataType === 'doctor') {
-            return row.kr_name !== row.old_name || row.kr_history !== row.old_history;
-        } else {
-            return row.kr_name !== row.old_name || row.kr_description !== row.old_description;
+        return APP_CONFIG.TRANSLATION.FIELDS[dataType.toUpperCase()].some(field => this.hasFieldChanged(row, field));
+    },
+    
+    /**
+     * Check if one field's source changed since it was last translated
+     * NEW METHOD - Rows with a hash for the field compare normalized hashes, so
+     * whitespace or escaping edits do not count; legacy rows compare kr_ with old_.
+     * @param {Object} row - Parsed row
+     * @param {string} field - Field name (name/history/description)
+     * @returns {boolean}
+     */
+    hasFieldChanged(row, field) {
+        const storedHash = row.source_hashes?.[field];
+        if (storedHash) {
+            const source = row.pivotSource ? (row.pivotSource[field] || '') : (row[`kr_${field}`] || '');
+            return hashSourceText(source) !== storedHash;
         }
+        return row[`kr_${field}`] !== row[`old_${field}`];
+    },
+    
+    /**
+     * Fields that need translation
+     * NEW METHOD - Every field when the LLM fields are empty; otherwise only the
+     * fields whose source changed (by hash, or against old_ values in legacy rows).
+     * The other fields keep their existing llm_* translation.
+     * @param {Object} row - Parsed row
+     * @param {string} dataType - Data type
+     * @returns {Array<string>} - e.g. ['description']
+     */
+    getChangedFields(row, dataType) {
+        const fields = APP_CONFIG.TRANSLATION.FIELDS[dataType.toUpperCase()];
+        
+        if (!this.hasLLMTranslation(row, dataType)) {
+            return [...fields];
+        }
+        if (Object.keys(row.source_hashes || {}).length === 0 && !this.hasOldValues(row, dataType)) {
+            return [];
+        }
+        return fields.filter(field => this.hasFieldChanged(row, field));
     },
     
     /**
      * Check if row needs translation
      * UPDATED: Now considers if content changed from old values
+     * UPDATED: True when any field needs translation (see getChangedFields)
      * @param {Object} row - Parsed row
      * @param {string} dataType - Data type
      * @returns {boolean}
@@ -323,10 +450,7 @@ export const SheetsParser = {
         // Only needs translation if:
         // 1. LLM fields are empty, OR
         // 2. Content has changed from old values (if old values exist)
-        const hasNoLLM = !this.hasLLMTranslation(row, dataType);
-        const contentChanged = this.hasOldValues(row, dataType) && this.hasContentChanged(row, dataType);
-        
-        return hasNoLLM || contentChanged;
+        return this.getChangedFields(row, dataType).length > 0;
     },
     
     /**
@@ -338,6 +462,96 @@ export const SheetsParser = {
         return data.filter(row => row.needsTranslation);
     },
     
+    /**
+     * Create write results that put repaired (unescaped) llm_* values back in the sheet
+     * NEW METHOD - Rows translated in this run are left out: their new translation is written
+     * @param {Array} data - Parsed rows
+     * @param {Array} translationResults - Results from TranslationService.translateRows
+     * @param {string} dataType - Data type
+     * @returns {Array} - Results shaped like translation results, marked repaired: true
+     */
+    createRepairResults(data, translationResults, dataType) {
+        const contentKey = dataType === 'doctor' ? 'history' : 'description';
+        const translatedIds = new Set(
+            translationResults.filter(result => result.success && !result.skipped).map(result => result.id)
+        );
+        
+        return data
+            .filter(row => !translatedIds.has(row.id))
+            .filter(row => row.escapedArtefacts.llm_name !== undefined || row.escapedArtefacts[`llm_${contentKey}`] !== undefined)
+            .map(row => ({
+                id: row.id,
+                rowIndex: row.rowIndex,
+                translated: {
+                    name: row.llm_name,
+                    [contentKey]: row[`llm_${contentKey}`]
+                },
+                repaired: true,
+                success: true
+            }));
+    },
+    
+    /**
+     * Create old_json updates that put repaired (unescaped) JSON back in the sheet
+     * NEW METHOD - old_json is only read, so its repair is written on its own
+     * @param {Array} data - Parsed rows
+     * @returns {Array} - { id, rowIndex, values: { old_json } } (see SheetsWriter.writeFieldValues)
+     */
+    createOldJSONRepairs(data) {
+        return data
+            .filter(row => row.escapedArtefacts.old_json !== undefined)
+            .map(row => ({
+                id: row.id,
+                rowIndex: row.rowIndex,
+                values: { old_json: unescapeArtefacts(row.old_json) }
+            }));
+    },
+    
+    /**
+     * Create the old_ column updates that promote the current source after a run
+     * NEW METHOD - For every row translated and written in this run: kr_* -> old_* and the
+     * new updated_json -> old_json. Only columns present in the sheet are included; the
+     * previous cell values are kept so the promotion can be reverted.
+     * @param {Array} data - Parsed rows
+     * @param {Array} translationResults - Translation results that were written
+     * @param {Array} jsonResults - JSON results that were written ({ rowIndex, json })
+     * @param {string} dataType - Data type
+     * @param {Object} columnMap - Header column map of the sheet
+     * @returns {Array} - { id, rowIndex, values: { old_name, ... }, previous: { old_name, ... } }
+     */
+    createPromotions(data, translationResults, jsonResults, dataType, columnMap) {
+        const fields = APP_CONFIG.TRANSLATION.FIELDS[dataType.toUpperCase()];
+        const translatedRows = new Set(
+            translationResults
+                .filter(result => result.success && !result.skipped && !result.repaired)
+                .map(result => result.rowIndex)
+        );
+        const jsonByRow = new Map(jsonResults.map(result => [result.rowIndex, result.json]));
+        
+        return data
+            .filter(row => translatedRows.has(row.rowIndex) && jsonByRow.has(row.rowIndex))
+            .map(row => {
+                const values = {};
+                const previous = {};
+                
+                fields.forEach(field => {
+                    if (columnMap[`old_${field}`] === undefined) return;
+                    values[`old_${field}`] = row[`kr_${field}`] || '';
+                    previous[`old_${field}`] = row[`old_${field}`] || '';
+                });
+                if (columnMap.old_json !== undefined) {
+                    values.old_json = jsonByRow.get(row.rowIndex);
+                    // The repaired old_json was written before the promotion
+                    previous.old_json = row.escapedArtefacts.old_json !== undefined
+                        ? unescapeArtefacts(row.old_json)
+                        : row.old_json || '';
+                }
+                
+                return { id: row.id, rowIndex: row.rowIndex, values, previous };
+            })
+            .filter(promotion => Object.keys(promotion.values).some(field => promotion.values[field] !== promotion.previous[field]));
+    },
+    
     /**
      * Get final values using priority (manual > LLM > old > old_json)
      * UPDATED: Now includes full priority chain
@@ -436,9 +650,52 @@ export const SheetsParser = {
         return report;
     },
     
+    /**
+     * Parse a lookup tab (Korean key column + one column per language)
+     * Used for the glossary tab
+     * @param {Object} sheetData - Raw sheet data from SheetsService
+     * @param {Array<string>} keyHeaders - Accepted header names for the Korean key column
+     * @returns {Map<string, Object>} - Korean key -> { en, ja, 'zh-Hans', ... }
+     */
+    parseLookupSheet(sheetData, keyHeaders) {
+        const entries = new Map();
+        
+        if (!sheetData || !sheetData.headers || !sheetData.rows) {
+            return entries;
+        }
+        
+        const headers = sheetData.headers.map(h => String(h || '').trim().toLowerCase());
+        const keyIndex = headers.findIndex(h => keyHeaders.includes(h));
+        
+        if (keyIndex === -1) {
+            console.warn(`Lookup sheet "${sheetData.sheetName}" has no key column (${keyHeaders.join(', ')})`);
+            return entries;
+        }
+        
+        // Language columns are the headers that are language keys (in any case: zh-hans -> zh-Hans)
+        const languageColumns = headers
+            .map((header, index) => ({ language: LanguageRegistry.resolve(header), index }))
+            .filter(col => col.language);
+        
+        sheetData.rows.forEach(row => {
+            const key = String(row[keyIndex] || '').trim();
+            if (!key) return;
+            
+            const values = {};
+            languageColumns.forEach(({ language, index }) => {
+                const value = String(row[index] || '').trim();
+                if (value) values[language] = value;
+            });
+            
+            entries.set(key, values);
+        });
+        
+        return entries;
+    },
+    
     /**
      * Validate sheet structure before processing
-     * UPDATED: Checks for new column count
+     * UPDATED: Checks required headers instead of column count
      * @param {Object} sheetData - Raw sheet data
      * @param {string} dataType - Data type
      * @returns {Object} - Validation result
@@ -457,29 +714,33 @@ export const SheetsParser = {
             return result;
         }
         
-        // Check minimum columns - UPDATED
-        const minColumns = 12; // Now expects 12 columns
-        const firstRow = sheetData.rows[0];
-        
-        if (!firstRow || firstRow.length < minColumns) {
-            result.warnings.push(`Sheet has ${firstRow ? firstRow.length : 0} columns, expected at least ${minColumns}`);
+        // Check required headers
+        let columnMap;
+        try {
+            columnMap = this.buildColumnMap(sheetData.headers, dataType);
+        } catch (error) {
+            result.isValid = false;
+            result.errors.push(error.message.replace('Invalid sheet structure: ', ''));
+            return result;
         }
         
         // Check for required Korean source data
+        const krContentIndex = dataType === 'doctor' ? columnMap.kr_history : columnMap.kr_description;
         let emptySourceCount = 0;
-        sheetData.rows.forEach((row, index) => {
-            const krNameIndex = APP_CONFIG.SHEET_COLUMNS[dataType.toUpperCase()].kr_name;
-            const krContentIndex = dataType === 'doctor' 
-                ? APP_CONFIG.SHEET_COLUMNS.DOCTOR.kr_history 
-                : APP_CONFIG.SHEET_COLUMNS.HOSPITAL.kr_description;
-            
-            if (!row[krNameIndex] || !row[krContentIndex]) {
+        sheetData.rows.forEach(row => {
+            if (!row[columnMap.kr_name] || !row[krContentIndex]) {
                 emptySourceCount++;
             }
         });
         
         if (emptySourceCount > 0) {
-            result.warnings.push(`${emptySourceCount} rows have empty Korean source data`);
+            result.warnings.push(`${emptySourceCount} rows have empty Korean source data ` +
+                '(rows with no Korean text are translated from another language in old_json, if present)');
+        }
+        
+        if (columnMap.source_hash === undefined) {
+            result.warnings.push('No source_hash column: changes are detected by comparing kr_ with old_ columns. ' +
+                'Add a source_hash column to track changes automatically.');
         }
         
         return result;
@@ -491,9 +752,14 @@ export const SheetsParser = {
  */
 export const { 
     parseData,
+    buildColumnMap,
     getRowsForTranslation,
+    createRepairResults,
+    createOldJSONRepairs,
+    createPromotions,
     getFinalValues,
     prepareTranslationRequests,
     createSummaryReport,
+    parseLookupSheet,
     validateSheetStructure
 } = SheetsParser;
\ No newline at end of file
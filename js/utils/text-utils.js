@@ -0,0 +1,168 @@
+// File path: js/utils/text-utils.js
+// Text Utilities Module - Hashing and text helpers shared by services
+
+/**
+ * Compute a short, stable hash of a string (32-bit FNV-1a, hex)
+ * Not cryptographic - used to detect content changes
+ * @param {string} text - Text to hash
+ * @returns {string} - 8-character hex hash
+ */
+export function hashString(text) {
+    let hash = 0x811c9dc5;
+    const str = String(text ?? '');
+    
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Hash of a source text for change detection (see the source_hash column)
+ * Escaping artefacts, Unicode form and whitespace differences are normalized
+ * away first, so only edits to the wording change the hash.
+ * @param {string} text - Source text
+ * @returns {string} - 8-character hex hash
+ */
+export function hashSourceText(text) {
+    const normalized = unescapeArtefacts(text)
+        .normalize('NFC')
+        .replace(/\s+/g, ' ')
+        .trim();
+    return hashString(normalized);
+}
+
+// Entities produced by the old DOM-based input sanitizer (textContent -> innerHTML)
+const ESCAPE_ARTEFACTS = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&nbsp;': '\u00A0' };
+
+/**
+ * Undo HTML escaping left in cells by earlier versions of this tool
+ * Repeats until stable so double-escaped text (&amp;amp;) is repaired too.
+ * Only the entities the old sanitizer produced are replaced.
+ * @param {string} text - Cell value
+ * @returns {string} - Raw text
+ */
+export function unescapeArtefacts(text) {
+    let value = String(text ?? '');
+    let previous;
+    
+    do {
+        previous = value;
+        value = value.replace(/&(?:amp|lt|gt|nbsp);/g, entity => ESCAPE_ARTEFACTS[entity]);
+    } while (value !== previous && /&(?:amp|lt|gt|nbsp);/.test(value));
+    
+    return value;
+}
+
+/**
+ * Check whether a cell value contains escaping artefacts
+ * @param {string} text - Cell value
+ * @returns {boolean}
+ */
+export function hasEscapeArtefacts(text) {
+    return /&(?:amp|lt|gt|nbsp);/.test(String(text ?? ''));
+}
+
+const XML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'" };
+
+/**
+ * Escape text for a request sent with tag_handling=xml
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+export function escapeXml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+/**
+ * Turn XML-escaped provider output back into plain text
+ * @param {string} text - Translated XML text
+ * @returns {string}
+ */
+export function unescapeXml(text) {
+    return String(text ?? '').replace(/&(?:amp|lt|gt|quot|apos);/g, entity => XML_ENTITIES[entity]);
+}
+
+/**
+ * Character n-gram similarity of two texts (Dice coefficient over n-gram multisets)
+ * Case, whitespace and punctuation are ignored, so the score reflects wording only.
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @param {number} n - N-gram size (default 2)
+ * @returns {number} - 0 (nothing shared) to 1 (same n-grams)
+ */
+export function ngramSimilarity(a, b, n = 2) {
+    const normalize = text => String(text ?? '').normalize('NFKC').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+    const left = normalize(a);
+    const right = normalize(b);
+    
+    if (!left || !right) return left === right ? 1 : 0;
+    if (left.length < n || right.length < n) return left === right ? 1 : 0;
+    
+    const counts = new Map();
+    for (let i = 0; i <= left.length - n; i++) {
+        const gram = left.slice(i, i + n);
+        counts.set(gram, (counts.get(gram) || 0) + 1);
+    }
+    
+    let shared = 0;
+    for (let i = 0; i <= right.length - n; i++) {
+        const gram = right.slice(i, i + n);
+        if (counts.get(gram) > 0) {
+            counts.set(gram, counts.get(gram) - 1);
+            shared++;
+        }
+    }
+    
+    return (2 * shared) / ((left.length - n + 1) + (right.length - n + 1));
+}
+
+/**
+ * Split a text into pieces no larger than maxSize, breaking at sentence
+ * boundaries (. ! ? 。 and line breaks). A sentence that is too large on its
+ * own is broken between words, and a word that is too large between characters.
+ * Joining each piece's text and separator gives back the original text.
+ * @param {string} text - Text to split
+ * @param {number} maxSize - Maximum size of a piece, as measured by measure()
+ * @param {Function} measure - (text) => size (default: string length)
+ * @returns {Array<Object>} - [{ text, separator }] where separator is the whitespace after the piece
+ */
+export function splitTextBySize(text, maxSize, measure = str => str.length) {
+    const str = String(text ?? '');
+    if (measure(str) <= maxSize) {
+        return [{ text: str, separator: '' }];
+    }
+
+    const sentences = str.match(/[^.!?。\n]*(?:[.!?。]+["'”’)\]]*|\n|$)\s*/g).filter(Boolean);
+    const chunks = [];
+    let current = '';
+
+    const pushUnits = (units) => {
+        units.forEach(unit => {
+            if (current && measure(current + unit) > maxSize) {
+                chunks.push(current);
+                current = '';
+            }
+            if (measure(unit) <= maxSize) {
+                current += unit;
+            } else if (/\s\S/.test(unit.trim())) {
+                pushUnits(unit.match(/\S+\s*|\s+/g)); // Words
+            } else {
+                pushUnits(Array.from(unit)); // Characters
+            }
+        });
+    };
+
+    pushUnits(sentences);
+    if (current) chunks.push(current);
+
+    return chunks.map(chunk => {
+        const body = chunk.trimEnd();
+        return { text: body, separator: chunk.slice(body.length) };
+    });
+}
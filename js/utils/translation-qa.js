@@ -0,0 +1,119 @@
+// File path: js/utils/translation-qa.js
+// Translation QA Module - Post-translation checks for leftover Korean and wrong scripts
+import { APP_CONFIG } from '../../config/config.js';
+
+// Hangul syllables, jamo and compatibility jamo
+const HANGUL_PATTERN = /[\uAC00-\uD7A3\u1100-\u11FF\u3130-\u318F]/;
+
+// Letters of any script; texts without letters (numbers, dashes) skip the script check
+const LETTER_PATTERN = /\p{L}/u;
+
+/**
+ * Script each target language must be written in
+ */
+const SCRIPT_PATTERNS = {
+    en: { name: 'Latin script', pattern: /[A-Za-z]/ },
+    ja: { name: 'kana or kanji', pattern: /[\u3040-\u30FF\u4E00-\u9FFF]/ },
+    th: { name: 'Thai script', pattern: /[\u0E00-\u0E7F]/ },
+    'zh-Hans': { name: 'Chinese characters', pattern: /[\u4E00-\u9FFF]/ },
+    'zh-Hant': { name: 'Chinese characters', pattern: /[\u4E00-\u9FFF]/ },
+    vi: { name: 'Latin script', pattern: /[A-Za-z\u00C0-\u1EF9]/ },
+    ru: { name: 'Cyrillic script', pattern: /[\u0400-\u04FF]/ },
+    mn: { name: 'Cyrillic script', pattern: /[\u0400-\u04FF]/ }
+};
+
+/**
+ * Translation QA
+ * Scans translated fields before they are written and flags rows whose
+ * output still contains Hangul or is not in the target language's script
+ */
+export const TranslationQA = {
+    /**
+     * Check one translated text
+     * @param {string} text - Translated text
+     * @param {string} language - Target language key
+     * @returns {Array<string>} - Issues found (empty when the text looks fine)
+     */
+    checkText(text, language) {
+        const value = String(text ?? '');
+        const issues = [];
+
+        if (!value.trim()) return issues;
+
+        if (HANGUL_PATTERN.test(value)) {
+            issues.push('contains untranslated Korean');
+        }
+
+        const script = SCRIPT_PATTERNS[language];
+        if (script && LETTER_PATTERN.test(value) && !script.pattern.test(value)) {
+            issues.push(`is not in ${script.name}`);
+        }
+
+        return issues;
+    },
+
+    /**
+     * Check every translated field of the translation results
+     * Skipped rows are not checked (nothing is written for them) and neither
+     * are names taken from the official name dictionary.
+     * @param {Array} results - Results from TranslationService.translateRows
+     * @param {string} language - Target language key
+     * @param {string} dataType - 'doctor' or 'hospital'
+     * @returns {Array<Object>} - Flagged rows: { id, rowIndex, sheetRow, fields: [{ field, issues }] }
+     */
+    checkResults(results, language, dataType) {
+        const fields = APP_CONFIG.TRANSLATION.FIELDS[dataType.toUpperCase()];
+        const flagged = [];
+
+        results
+            .filter(result => result.success && !result.skipped && result.translated)
+            .forEach(result => {
+                const fieldIssues = fields
+                    .filter(field => !(field === 'name' && result.fromDictionary))
+                    .map(field => ({ field, issues: this.checkText(result.translated[field], language) }))
+                    .filter(entry => entry.issues.length > 0);
+
+                if (fieldIssues.length > 0) {
+                    flagged.push({
+                        id: result.id,
+                        rowIndex: result.rowIndex,
+                        sheetRow: result.rowIndex + 2, // +2 for header and 0-index
+                        fields: fieldIssues
+                    });
+                }
+            });
+
+        return flagged;
+    },
+
+    /**
+     * Describe a flagged row for the error list
+     * @param {Object} flag - Flagged row from checkResults
+     * @returns {string} - e.g. "Row 12 (id D-001): QA - history contains untranslated Korean"
+     */
+    describe(flag) {
+        const details = flag.fields
+            .map(({ field, issues }) => `${field} ${issues.join(' and ')}`)
+            .join('; ');
+        return `Row ${flag.sheetRow} (id ${flag.id}): QA - ${details}`;
+    },
+
+    /**
+     * Describe a row flagged by the back-translation check
+     * @param {Object} flag - Flagged row from TranslationService.verifyBackTranslation
+     * @returns {string} - e.g. "Row 12 (id D-001): back-translation similarity 0.31 (below 0.50)"
+     */
+    describeBackTranslation(flag) {
+        return `Row ${flag.sheetRow} (id ${flag.id}): back-translation similarity ${flag.score.toFixed(2)} (below ${flag.threshold.toFixed(2)})`;
+    }
+};
+
+/**
+ * Export individual functions for convenience
+ */
+export const {
+    checkText,
+    checkResults,
+    describe,
+    describeBackTranslation
+} = TranslationQA;
@@ -1,5 +1,6 @@
 // Validation Utilities Module
 import { APP_CONFIG } from '../../config/config.js';
+import { LanguageRegistry } from './language-registry.js';
 
 /**
  * Validate Google Sheets URL
@@ -109,14 +110,18 @@ export function validateUrl(url) {
 }
 
 /**
- * Sanitize input to prevent XSS
- * @param {string} input - Input to sanitize
- * @returns {string} - Sanitized input
+ * Escape text for insertion into HTML templates (innerHTML)
+ * Only for rendering: sheet values stay raw for translation and JSON output
+ * @param {string} text - Text to escape
+ * @returns {string} - HTML-safe text
  */
-export function sanitizeInput(input) {
-    const div = document.createElement('div');
-    div.textContent = input;
-    return div.innerHTML;
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
 /**
@@ -140,11 +145,14 @@ export function validateTranslationData(translationData) {
     if (!translationData.translations) {
         errors.push('Missing translations object');
     } else {
-        // Check language completeness
-        const requiredLangs = ['ja', 'th', 'en'];
-        requiredLangs.forEach(lang => {
-            if (!translationData.translations[lang]) {
-                errors.push(`Missing ${lang} translations`);
+        // Check the languages present (any subset of the language registry)
+        const langs = Object.keys(translationData.translations);
+        if (langs.length === 0) {
+            errors.push('Missing translations');
+        }
+        langs.forEach(lang => {
+            if (!LanguageRegistry.has(lang)) {
+                errors.push(`Unknown language: ${lang}`);
             } else if (!Array.isArray(translationData.translations[lang])) {
                 errors.push(`Invalid ${lang} translations format`);
             }
@@ -6,12 +6,18 @@
 
 import { APP_CONFIG } from './config/config.js';
 import { TranslationFormBuilder } from './js/components/form-builder.js';
-import { ProgressTracker, createTranslationSteps, formatTranslationProgress } from './js/components/progress-tracker.js';
+import { ProgressTracker, createTranslationSteps, formatTranslationProgress, TRANSLATION_STEPS as STEP } from './js/components/progress-tracker.js';
 import { ResultsDisplay, createResultsObject } from './js/components/results-display.js';
+import { PreviewDisplay } from './js/components/preview-display.js';
+import { ChangePreview } from './js/utils/change-preview.js';
+import { CancellationToken } from './js/utils/cancellation.js';
+import { TranslationQA } from './js/utils/translation-qa.js';
+import { EntityCheck } from './js/utils/entity-check.js';
+import { LanguageRegistry } from './js/utils/language-registry.js';
 import { Alert } from './js/components/ui-components.js';
 
 // Service imports with fallback handling
-let sheetsService, sheetsWriter, sheetsParser, jsonBuilder, translationService, multiLanguageJSONHandler;
+let sheetsService, sheetsWriter, sheetsParser, jsonBuilder, translationService, multiLanguageJSONHandler, glossaryService, translationMemory, checkpointStore;
 
 /**
  * Main Application Class with OAuth2 and Real Translation
@@ -23,6 +29,7 @@ class MedicalTranslationApp {
             isAuthenticated: false,
             userInfo: null,
             isTranslating: false,
+            cancellation: null, // CancellationToken of the running translation
             formData: null,
             results: null,
             servicesLoaded: false
@@ -57,6 +64,9 @@ class MedicalTranslationApp {
             // Initial validation
             this._validateForm();
             
+            // Mention runs that were interrupted before they finished
+            await this._notifyUnfinishedRuns();
+            
         } catch (error) {
             console.error('Failed to initialize app:', error);
             this.showError('Failed to initialize application. Please refresh the page.');
@@ -76,14 +86,20 @@ class MedicalTranslationApp {
                 { SheetsParser },
                 { JSONBuilder },
                 { createTranslationService },
-                { MultiLanguageJSONHandler } // NEW
+                { MultiLanguageJSONHandler }, // NEW
+                { createGlossaryService },
+                { getTranslationMemory },
+                { getCheckpointStore }
             ] = await Promise.all([
                 import('./js/services/sheets-service.js'),
                 import('./js/services/sheets-writer.js'),
                 import('./js/utils/sheets-parser.js'),
                 import('./js/utils/json-builder.js'),
                 import('./js/services/translation-service.js'),
-                import('./js/utils/multi-language-json-handler.js') // NEW
+                import('./js/utils/multi-language-json-handler.js'), // NEW
+                import('./js/services/glossary-service.js'),
+                import('./js/services/translation-memory.js'),
+                import('./js/services/checkpoint-store.js')
             ]);
             
             // Store service references
@@ -93,6 +109,9 @@ class MedicalTranslationApp {
             jsonBuilder = JSONBuilder;
             translationService = createTranslationService;
             multiLanguageJSONHandler = MultiLanguageJSONHandler; // NEW
+            glossaryService = createGlossaryService;
+            translationMemory = APP_CONFIG.TRANSLATION_MEMORY.ENABLED ? getTranslationMemory() : null;
+            checkpointStore = APP_CONFIG.CHECKPOINTS.ENABLED ? getCheckpointStore() : null;
             
             // Store parseGoogleSheetsUrl globally
             window.parseGoogleSheetsUrl = parseGoogleSheetsUrl;
@@ -144,7 +163,8 @@ class MedicalTranslationApp {
         // Build translation form with auth
         this.components.form = TranslationFormBuilder.build({
             id: 'translation-form',
-            onSubmit: (formData) => this.handleFormSubmit(formData)
+            onSubmit: (formData) => this.handleFormSubmit(formData),
+            onClearMemory: () => this.handleClearTranslationMemory()
         });
         
         // Build progress tracker
@@ -153,9 +173,13 @@ class MedicalTranslationApp {
             onError: (error) => this.handleError(error)
         });
         
+        // Build dry-run preview
+        this.components.preview = new PreviewDisplay();
+        
         // Build results display
         this.components.results = new ResultsDisplay({
-            onNewTranslation: () => this.handleNewTranslation()
+            onNewTranslation: () => this.handleNewTranslation(),
+            onRevertPromotion: (promotions) => this.handleRevertPromotion(promotions)
         });
         
         // Attach progress tracker to steps manager
@@ -206,8 +230,14 @@ class MedicalTranslationApp {
             this.components.progress.getElement()
         );
         
-        // Add results section after progress
+        // Add preview section after progress
         this.components.progress.getElement().insertAdjacentElement(
+            'afterend',
+            this.components.preview.getElement()
+        );
+        
+        // Add results section after preview
+        this.components.preview.getElement().insertAdjacentElement(
             'afterend',
             this.components.results.getElement()
         );
@@ -322,6 +352,7 @@ class MedicalTranslationApp {
         }
         
         this.state.isTranslating = true;
+        this.state.cancellation = new CancellationToken();
         this.state.formData = formData;
         
         // Store start time
@@ -347,171 +378,68 @@ class MedicalTranslationApp {
     /**
      * Start translation process with real services
      * UPDATED: Handle new translation service structure and multi-language JSON
+     * UPDATED: "All languages" runs every configured language tab in sequence
      */
     async startTranslationWithManualOverride(formData) {
-        const steps = this.progressSteps;
-        const { sheetsUrl, dataType, language, apiKey } = formData;
+        const { sheetsUrl, dataType, language } = formData;
         
         // Verify all required services are loaded
         if (!sheetsService || !sheetsParser || !jsonBuilder || !translationService || !sheetsWriter) {
             throw new Error('Required services not loaded. Please refresh the page.');
         }
         
+        let context = null;
         try {
-            // Step 0: Verify authentication
-            steps.startStep(0);
-            if (!sheetsService.isAuthenticated()) {
-                throw new Error('Authentication required');
-            }
-            steps.completeStep(0);
-            
-            // Step 1: Load spreadsheet
-            steps.startStep(1);
             const { spreadsheetId } = window.parseGoogleSheetsUrl(sheetsUrl);
-            const sheetName = language; // Sheet name matches language code
-            const sheetData = await sheetsService.getSheetData(spreadsheetId, sheetName);
-            steps.completeStep(1);
-            
-            // Step 2: Analyze data - UPDATED
-            steps.startStep(2);
-            const parsedData = sheetsParser.parseData(sheetData, dataType, language);
-            
-            // Validate structure
-            const validation = sheetsParser.validateSheetStructure(sheetData, dataType);
-            if (!validation.isValid) {
-                throw new Error(`Invalid sheet structure: ${validation.errors.join(', ')}`);
-            }
-            
-            // Show analysis stats - UPDATED
-            const analysisStats = {
-                totalRows: parsedData.data.length,
-                rowsToTranslate: sheetsParser.getRowsForTranslation(parsedData.data).length,
-                alreadyTranslated: parsedData.statistics.rowsWithLLMTranslation,
-                manualOverrides: parsedData.statistics.rowsWithManualOverride,
-                oldValues: parsedData.statistics.rowsWithOldValues,
-                contentChanges: parsedData.statistics.rowsWithContentChanges
-            };
-            steps.startStep(2, { stats: analysisStats });
-            
-            steps.completeStep(2);
-            
-            // Step 3: Translate content - UPDATED
-            steps.startStep(3);
-            const rowsToTranslate = sheetsParser.getRowsForTranslation(parsedData.data);
+            const languages = language === APP_CONFIG.TRANSLATION.ALL_LANGUAGES
+                ? await this._getLanguageTabs(spreadsheetId)
+                : [language];
+            const isMultiTarget = languages.length > 1;
             
-            let translationData = { 
-                results: [], 
-                statistics: { total: 0, translated: 0, skipped: 0, failed: 0 } 
+            context = {
+                formData,
+                spreadsheetId,
+                dataType,
+                translator: null, // Created on first use and shared by all languages
+                fallbackTranslators: {}, // provider id -> service for languages the selected provider lacks
+                nameDictionary: null, // Hospital name dictionary tab, loaded on first use
+                retryTranslator: null, // QA retry provider, created when rows are first flagged (false if unavailable)
+                cancellationToken: this.state.cancellation,
+                committed: {} // language -> { translations, json, repairs: [sheet rows] }
             };
             
-            if (rowsToTranslate.length > 0) {
-                // Create translation service instance
-                const translator = translationService(apiKey);
+            const languageResults = [];
+            for (let i = 0; i < languages.length; i++) {
+                this.progressSteps.startPass(i, languages.length, isMultiTarget ? languages[i] : null);
                 
-                // Test connection
-                const isConnected = await translator.testConnection();
-                if (!isConnected) {
-                    throw new Error('Failed to connect to DeepL API. Please check your API key.');
-                }
-                
-                // Translate rows with progress updates - UPDATED
-                translationData = await translator.translateRows(
-                    rowsToTranslate,
-                    language,
-                    dataType,
-                    (progress, message) => {
-                        steps.updateStepProgress(3, progress, message);
-                    }
-                );
-                
-                // Log statistics
-                if (translationData.statistics.skipped > 0) {
-                    console.log(`Skipped ${translationData.statistics.skipped} rows with unchanged content`);
-                }
-            } else {
-                this.components.progress.updateDetail('All rows already have translations');
-            }
-            steps.completeStep(3);
-            
-            // Step 4: Write translations - UPDATED
-            steps.startStep(4);
-            if (translationData.results.length > 0) {
-                const successfulTranslations = translationData.results.filter(r => r.success);
-                if (successfulTranslations.length > 0) {
-                    const writeResult = await sheetsWriter.writeLLMTranslations(
-                        spreadsheetId,
-                        sheetName,
-                        successfulTranslations,
-                        dataType
-                    );
-                    
-                    // Update progress with skip info
-                    if (writeResult.skippedRows > 0) {
-                        steps.updateStepProgress(4, 100, 
-                            `Wrote ${writeResult.updatedRows} translations (${writeResult.skippedRows} unchanged)`
-                        );
+                try {
+                    languageResults.push(await this._runLanguagePipeline(context, languages[i]));
+                } catch (error) {
+                    // One failing tab does not discard the other languages,
+                    // but cancellation, fatal provider errors (quota), auth and connection failures affect every language
+                    if (!isMultiTarget || CancellationToken.isCancellation(error) || error.fatal || error.message.includes('Authentication') || error.message.includes('Failed to connect')) {
+                        throw error;
                     }
+                    console.error(`Translation failed for ${languages[i]}:`, error);
+                    languageResults.push({
+                        success: false,
+                        language: languages[i],
+                        statistics: { errors: [error.message] }
+                    });
                 }
             }
-            steps.completeStep(4);
-            
-            // Step 5: Generate multi-language JSON - UPDATED
-            steps.startStep(5);
-            const mergedData = jsonBuilder.mergeTranslations(
-                parsedData.data,
-                translationData.results,
-                dataType
-            );
             
-            // Build JSON with language parameter
-            const jsonResults = jsonBuilder.buildBatchJSON(mergedData, dataType, language);
+            return isMultiTarget
+                ? this._combineLanguageResults(languageResults, formData)
+                : languageResults[0];
             
-            // Count multi-language JSONs
-            const multiLangCount = jsonResults.filter(r => 
-                r.object && multiLanguageJSONHandler && multiLanguageJSONHandler.getAvailableLanguages(r.object).length > 1
-            ).length;
-            
-            steps.updateStepProgress(5, 100, 
-                `Generated JSON for ${jsonResults.filter(r => r.success).length} rows (${multiLangCount} multi-language)`
-            );
-            steps.completeStep(5);
-            
-            // Step 6: Update spreadsheet with JSON - UPDATED
-            steps.startStep(6);
-            const successfulJSON = jsonResults.filter(r => r.success);
-            if (successfulJSON.length > 0) {
-                await sheetsWriter.writeJSONResults(
-                    spreadsheetId,
-                    sheetName,
-                    successfulJSON,
-                    dataType
-                );
+        } catch (error) {
+            // Report the rows that were written before the cancel
+            if (CancellationToken.isCancellation(error)) {
+                error.committed = context ? context.committed : {};
+                throw error;
             }
-            steps.completeStep(6);
-            
-            // Create final summary - UPDATED
-            return {
-                success: true,
-                dataType: dataType,
-                language: language,
-                statistics: {
-                    totalRows: parsedData.data.length,
-                    rowsTranslated: translationData.statistics.translated,
-                    rowsSkipped: translationData.statistics.skipped,
-                    rowsWithManualOverride: parsedData.statistics.rowsWithManualOverride,
-                    rowsWithOldValues: parsedData.statistics.rowsWithOldValues,
-                    jsonGenerated: jsonResults.filter(r => r.success).length,
-                    multiLanguageJSON: multiLangCount,
-                    errors: [
-                        ...parsedData.errors,
-                        ...translationData.results.filter(r => !r.success).map(r => r.error),
-                        ...jsonResults.filter(r => !r.success).map(r => r.error)
-                    ].filter(Boolean)
-                },
-                timestamp: new Date().toISOString()
-            };
             
-        } catch (error) {
             console.error('Translation process failed:', error);
             
             // Map errors to user-friendly messages
@@ -521,7 +449,7 @@ class MedicalTranslationApp {
                 throw new Error(APP_CONFIG.ERROR_MESSAGES.SHEETS_ACCESS_DENIED);
             } else if (error.message.includes('Invalid sheet structure')) {
                 throw new Error(error.message); // Keep detailed structure error
-            } else if (error.message.includes('DeepL API')) {
+            } else if (error.message.includes('Failed to connect')) {
                 throw new Error(error.message); // Keep API error
             }
             
@@ -529,12 +457,909 @@ class MedicalTranslationApp {
         }
     }
     
+    /**
+     * Run the full pipeline (load, analyze, translate, write, JSON) for one language tab
+     * @param {Object} context - Shared run context
+     * @param {string} language - Target language (sheet tab name)
+     * @returns {Promise<Object>} - Result for this language
+     */
+    async _runLanguagePipeline(context, language) {
+        const steps = this.progressSteps;
+        const { spreadsheetId, dataType, cancellationToken } = context;
+        const { apiService } = context.formData;
+        
+        // Step 0: Verify authentication
+        steps.startStep(STEP.AUTH);
+        if (!sheetsService.isAuthenticated()) {
+            throw new Error('Authentication required');
+        }
+        steps.completeStep(STEP.AUTH);
+        cancellationToken.throwIfCancelled();
+        
+        // Step 1: Load spreadsheet
+        steps.startStep(STEP.LOAD);
+        const sheetName = language; // Sheet name matches language code
+        const sheetData = await sheetsService.getSheetData(spreadsheetId, sheetName);
+        steps.completeStep(STEP.LOAD);
+        cancellationToken.throwIfCancelled();
+        
+        // Step 2: Analyze data - UPDATED
+        steps.startStep(STEP.ANALYZE);
+        const parsedData = sheetsParser.parseData(sheetData, dataType, language);
+        
+        // Validate structure
+        const validation = sheetsParser.validateSheetStructure(sheetData, dataType);
+        if (!validation.isValid) {
+            throw new Error(`Invalid sheet structure: ${validation.errors.join(', ')}`);
+        }
+        // Warnings are listed with the results, apart from the errors (the step detail is cleared when it completes)
+        validation.warnings.forEach(warning => console.warn(`${sheetName}: ${warning}`));
+        
+        // Show analysis stats - UPDATED
+        const analysisStats = {
+            totalRows: parsedData.data.length,
+            rowsToTranslate: sheetsParser.getRowsForTranslation(parsedData.data).length,
+            alreadyTranslated: parsedData.statistics.rowsWithLLMTranslation,
+            manualOverrides: parsedData.statistics.rowsWithManualOverride,
+            oldValues: parsedData.statistics.rowsWithOldValues,
+            contentChanges: parsedData.statistics.rowsWithContentChanges
+        };
+        steps.startStep(STEP.ANALYZE, { stats: analysisStats });
+        
+        steps.completeStep(STEP.ANALYZE);
+        cancellationToken.throwIfCancelled();
+        
+        // Step 3: Translate content - UPDATED
+        steps.startStep(STEP.TRANSLATE);
+        const rowsToTranslate = sheetsParser.getRowsForTranslation(parsedData.data);
+        
+        let translationData = { 
+            results: [], 
+            statistics: { total: 0, translated: 0, skipped: 0, failed: 0 } 
+        };
+        let glossary = null;
+        let checkpoint = null;
+        let quota = null;
+        
+        // Formality and context sent with every request for this language
+        const translationStyle = this._getTranslationStyle(context, language);
+        
+        if (rowsToTranslate.length > 0) {
+            // Shared translator (connection tested once per run)
+            const translator = await this._getTranslator(context, language);
+            
+            // Apply terminology from the glossary tab, if present
+            glossary = await this._syncGlossary(translator, spreadsheetId, language);
+            
+            // Official hospital names from the dictionary tab (loaded once per run)
+            const nameDictionary = await this._loadNameDictionary(context);
+            
+            // Resume an interrupted run of this tab, if the user agrees
+            checkpoint = await this._prepareCheckpoint(context, sheetName, language, rowsToTranslate);
+            
+            // Check the provider quota before sending anything
+            quota = await this._checkQuota(translator, rowsToTranslate, language, dataType, {
+                restored: checkpoint.restored,
+                nameDictionary,
+                backTranslation: Boolean(context.formData.verifyBackTranslation),
+                glossaryId: glossary?.glossaryId,
+                ...translationStyle
+            });
+            
+            // Translate rows with progress updates - UPDATED
+            translationData = await translator.translateRows(
+                quota.rows,
+                language,
+                dataType,
+                (progress, message) => {
+                    steps.updateStepProgress(STEP.TRANSLATE, progress, message);
+                },
+                {
+                    glossaryId: glossary?.glossaryId,
+                    ...translationStyle,
+                    cancellationToken,
+                    restored: checkpoint.restored,
+                    nameDictionary,
+                    onBatchComplete: batchResults => checkpoint.save(batchResults)
+                }
+            );
+            
+            // Log statistics
+            if (translationData.statistics.skipped > 0) {
+                console.log(`Skipped ${translationData.statistics.skipped} rows with unchanged content`);
+            }
+            if (translationData.statistics.memoryHits > 0) {
+                console.log(`Reused ${translationData.statistics.memoryHits} translations from translation memory`);
+            }
+            if (translationData.statistics.namesTransliterated > 0) {
+                console.log(`Transliterated ${translationData.statistics.namesTransliterated} Korean doctor names`);
+            }
+            if (translationData.statistics.dictionaryHits > 0) {
+                console.log(`Used ${translationData.statistics.dictionaryHits} official names from the name dictionary`);
+            }
+            if (translationData.statistics.fieldsKept > 0) {
+                console.log(`Kept ${translationData.statistics.fieldsKept} unchanged fields (${translationData.statistics.charactersSaved} characters not sent)`);
+            }
+            if (translationData.statistics.rowsFromCheckpoint > 0) {
+                console.log(`Resumed ${translationData.statistics.rowsFromCheckpoint} rows from an interrupted run`);
+            }
+        } else {
+            this.components.progress.updateDetail('All rows already have translations');
+        }
+        steps.completeStep(STEP.TRANSLATE);
+        cancellationToken.throwIfCancelled();
+        
+        // Step 4: Translation QA - NEW
+        // Flags leftover Hangul, wrong scripts and changed numbers before anything is written
+        steps.startStep(STEP.QA);
+        const qa = await this._runQualityCheck(context, translationData, rowsToTranslate, language);
+        steps.completeStep(STEP.QA);
+        cancellationToken.throwIfCancelled();
+        
+        // NEW: Migration - write back llm_* cells repaired from HTML-escaped text
+        const repairResults = sheetsParser.createRepairResults(parsedData.data, translationData.results, dataType);
+        if (repairResults.length > 0) {
+            const repairedIds = new Set(repairResults.map(result => result.id));
+            translationData.results = [
+                ...translationData.results.filter(result => !repairedIds.has(result.id)),
+                ...repairResults
+            ];
+            console.log(`Repairing HTML-escaped text in ${repairResults.length} rows`);
+        }
+        const oldJSONRepairs = sheetsParser.createOldJSONRepairs(parsedData.data);
+        
+        // Step 5: Generate multi-language JSON - UPDATED
+        // Runs before any write so the dry-run preview can show the final JSON
+        steps.startStep(STEP.BUILD_JSON);
+        const mergedData = jsonBuilder.mergeTranslations(
+            parsedData.data,
+            translationData.results,
+            dataType
+        );
+        
+        // Build JSON with language parameter
+        const jsonResults = jsonBuilder.buildBatchJSON(mergedData, dataType, language);
+        
+        // Count multi-language JSONs
+        const multiLangCount = jsonResults.filter(r => 
+            r.object && multiLanguageJSONHandler && multiLanguageJSONHandler.getAvailableLanguages(r.object).length > 1
+        ).length;
+        
+        steps.updateStepProgress(STEP.BUILD_JSON, 100, 
+            `Generated JSON for ${jsonResults.filter(r => r.success).length} rows (${multiLangCount} multi-language)`
+        );
+        steps.completeStep(STEP.BUILD_JSON);
+        cancellationToken.throwIfCancelled();
+        
+        // Rows with number/entity mismatches are not written when blocking is on
+        const blockedRows = new Set(qa.blocked.map(flag => flag.rowIndex));
+        let successfulTranslations = translationData.results.filter(r => r.success && !blockedRows.has(r.rowIndex));
+        let successfulJSON = jsonResults.filter(r => r.success && !blockedRows.has(r.rowIndex));
+        
+        // NEW: Dry-run preview - only approved rows are written
+        let review = null;
+        if (context.formData.previewChanges) {
+            review = await this._reviewChanges(context, parsedData.data, successfulTranslations, successfulJSON, language);
+            successfulTranslations = ChangePreview.filterApproved(successfulTranslations, review.approvedRows);
+            successfulJSON = ChangePreview.filterApproved(successfulJSON, review.approvedRows);
+        }
+        
+        // Step 6: Write translations - UPDATED
+        steps.startStep(STEP.WRITE_TRANSLATIONS);
+        if (successfulTranslations.length > 0) {
+            const writeResult = await sheetsWriter.writeLLMTranslations(
+                spreadsheetId,
+                sheetName,
+                successfulTranslations,
+                dataType,
+                parsedData.columnMap,
+                {
+                    cancellationToken,
+                    onCommit: rows => this._recordCommit(context, language, 'translations', rows)
+                }
+            );
+            
+            // Remember what passed QA and was written
+            await this._rememberTranslations(context, language, successfulTranslations, qa, {
+                glossaryId: glossary?.glossaryId,
+                ...translationStyle
+            });
+            
+            // Update progress with skip info
+            if (writeResult.skippedRows > 0) {
+                steps.updateStepProgress(STEP.WRITE_TRANSLATIONS, 100, 
+                    `Wrote ${writeResult.updatedRows} translations (${writeResult.skippedRows} unchanged)`
+                );
+            }
+        }
+        
+        // Repaired old_json cells - lossless fixes of the sheet's own data, written
+        // without approval (the preview does not list old_json)
+        const repairedRows = new Set(successfulTranslations.filter(r => r.repaired).map(r => r.rowIndex));
+        if (oldJSONRepairs.length > 0) {
+            const repairWrite = await sheetsWriter.writeFieldValues(spreadsheetId, sheetName, oldJSONRepairs, parsedData.columnMap, {
+                cancellationToken,
+                onCommit: rows => this._recordCommit(context, language, 'repairs', rows)
+            });
+            repairWrite.committedRows.forEach(sheetRow => repairedRows.add(sheetRow - 2));
+        }
+        steps.completeStep(STEP.WRITE_TRANSLATIONS);
+        
+        // Step 7: Update spreadsheet with JSON - UPDATED
+        steps.startStep(STEP.WRITE_JSON);
+        if (successfulJSON.length > 0) {
+            await sheetsWriter.writeJSONResults(
+                spreadsheetId,
+                sheetName,
+                successfulJSON,
+                dataType,
+                parsedData.columnMap,
+                {
+                    cancellationToken,
+                    onCommit: rows => this._recordCommit(context, language, 'json', rows)
+                }
+            );
+        }
+        steps.completeStep(STEP.WRITE_JSON);
+        
+        // Everything is in the sheet - the checkpoint is no longer needed
+        if (checkpoint) {
+            await checkpoint.clear();
+        }
+        
+        // Step 8: Promote the source into the old_ columns - NEW (optional)
+        steps.startStep(STEP.PROMOTE);
+        const promotion = await this._promoteSource(context, sheetName, parsedData, successfulTranslations, successfulJSON, language);
+        steps.completeStep(STEP.PROMOTE);
+        
+        // Create final summary - UPDATED
+        return {
+            success: true,
+            dataType: dataType,
+            language: language,
+            provider: apiService,
+            translationStyles: { [language]: translationStyle },
+            promotions: promotion?.rows.length > 0 ? [promotion] : [],
+            statistics: {
+                totalRows: parsedData.data.length,
+                rowsTranslated: translationData.statistics.translated,
+                rowsSkipped: translationData.statistics.skipped,
+                memoryHits: translationData.statistics.memoryHits || 0,
+                namesTransliterated: translationData.statistics.namesTransliterated || 0,
+                dictionaryHits: translationData.statistics.dictionaryHits || 0,
+                rowsFromCheckpoint: translationData.statistics.rowsFromCheckpoint || 0,
+                fieldsKept: translationData.statistics.fieldsKept || 0,
+                charactersSaved: translationData.statistics.charactersSaved || 0,
+                estimatedCharacters: quota ? quota.estimatedCharacters : 0,
+                rowsDeferredForQuota: quota ? quota.deferredRows : 0,
+                rowsWithManualOverride: parsedData.statistics.rowsWithManualOverride,
+                rowsWithOldValues: parsedData.statistics.rowsWithOldValues,
+                jsonGenerated: jsonResults.filter(r => r.success).length,
+                multiLanguageJSON: multiLangCount,
+                glossaryTerms: glossary?.glossaryId ? glossary.entryCount : 0,
+                rowsPreviewed: review ? review.rowCount : 0,
+                rowsApproved: review ? review.approvedRows.size : 0,
+                rowsFlaggedByQA: qa.flagged.length,
+                rowsFixedByRetry: qa.fixed,
+                rowsWithEntityMismatch: qa.mismatched.length,
+                rowsBlocked: qa.blocked.length,
+                rowsRepaired: repairedRows.size,
+                rowsFromPivot: translationData.statistics.pivotRows || 0,
+                rowsVerified: qa.backTranslation.checked,
+                similarityTotal: qa.backTranslation.similarityTotal,
+                rowsBelowSimilarity: qa.backTranslation.flagged.length,
+                rowsPromoted: promotion ? promotion.rows.length : 0,
+                warnings: validation.warnings,
+                errors: [
+                    ...parsedData.errors.map(e => `Row ${e.row}: ${e.error}`),
+                    ...qa.flagged.map(flag => TranslationQA.describe(flag)),
+                    ...qa.mismatched.map(flag => EntityCheck.describe(flag) + (blockedRows.has(flag.rowIndex) ? ' (not written)' : '')),
+                    ...qa.backTranslation.flagged.map(flag => TranslationQA.describeBackTranslation(flag)),
+                    ...translationData.results.filter(r => !r.success).map(r => r.error),
+                    ...jsonResults.filter(r => !r.success).map(r => r.error),
+                    promotion?.error
+                ].filter(Boolean)
+            },
+            timestamp: new Date().toISOString()
+        };
+        
+    }
+    
+    /**
+     * QA pass over the translation results: flag rows with leftover Hangul or the
+     * wrong script and, if a retry provider is configured, translate them again.
+     * Retried rows replace the originals only when they pass the check.
+     * Then compare numbers, years, URLs and emails with the Korean source; with
+     * "block" enabled, mismatched rows are returned in `blocked` and not written.
+     * With the back-translation check on, rows are also translated back to their
+     * source and scored; low scores are flagged for review (but still written).
+     * @param {Object} context - Shared run context
+     * @param {Object} translationData - Result of translateRows (results updated in place)
+     * @param {Array} rows - Rows that were sent for translation
+     * @param {string} language - Target language
+     * @returns {Promise<Object>} - { flagged, fixed, mismatched, blocked, backTranslation }
+     */
+    async _runQualityCheck(context, translationData, rows, language) {
+        const { dataType, cancellationToken } = context;
+        let flagged = TranslationQA.checkResults(translationData.results, language, dataType);
+        let fixed = 0;
+        
+        if (flagged.length > 0) {
+            const retryTranslator = await this._getRetryTranslator(context, language);
+            
+            if (retryTranslator) {
+                this.progressSteps.updateStepProgress(STEP.QA, 50,
+                    `Retrying ${flagged.length} flagged rows with ${retryTranslator.provider.name}`
+                );
+                
+                const flaggedIds = new Set(flagged.map(flag => flag.id));
+                const retry = await retryTranslator.translateRows(
+                    rows.filter(row => flaggedIds.has(row.id)),
+                    language,
+                    dataType,
+                    null,
+                    {
+                        ...this._getTranslationStyle(context, language),
+                        cancellationToken,
+                        nameDictionary: context.nameDictionary || undefined
+                    }
+                );
+                
+                const stillFlagged = new Set(
+                    TranslationQA.checkResults(retry.results, language, dataType).map(flag => flag.id)
+                );
+                const replacements = new Map(
+                    retry.results
+                        .filter(result => result.success && !result.skipped && !stillFlagged.has(result.id))
+                        .map(result => [result.id, { ...result, retriedWith: retryTranslator.provider.id }])
+                );
+                
+                translationData.results = translationData.results.map(result => replacements.get(result.id) || result);
+                flagged = flagged.filter(flag => !replacements.has(flag.id));
+                fixed = replacements.size;
+            }
+        }
+        
+        const mismatched = EntityCheck.checkResults(translationData.results, rows, dataType);
+        const blocked = context.formData.blockEntityMismatches ? mismatched : [];
+        
+        const backTranslation = await this._verifyBackTranslation(context, translationData, rows, language);
+        
+        const issues = [];
+        if (flagged.length > 0) issues.push(`${flagged.length} rows flagged for review`);
+        if (fixed > 0) issues.push(`${fixed} fixed by retry`);
+        if (mismatched.length > 0) {
+            issues.push(`${mismatched.length} rows with number mismatches${blocked.length > 0 ? ' (not written)' : ''}`);
+        }
+        if (backTranslation.flagged.length > 0) {
+            issues.push(`${backTranslation.flagged.length} rows with low back-translation similarity`);
+        }
+        this.progressSteps.updateStepProgress(STEP.QA, 100, issues.length > 0 ? issues.join(', ') : 'No issues found');
+        
+        return { flagged, fixed, mismatched, blocked, backTranslation };
+    }
+    
+    /**
+     * Optional final step: copy kr_* into old_* and updated_json into old_json for the
+     * rows translated and written in this run, so the next run sees them as unchanged.
+     * A failed promotion is reported but does not fail the run (translations are written).
+     * @param {Object} context - Shared run context
+     * @param {string} sheetName - Sheet tab
+     * @param {Object} parsedData - Parse result (rows and column map)
+     * @param {Array} translations - Translation results that were written
+     * @param {Array} jsonResults - JSON results that were written
+     * @param {string} language - Target language
+     * @returns {Promise<Object|null>} - { spreadsheetId, sheetName, language, columnMap, fields, rows, error? },
+     *                                   null when the option is off
+     */
+    async _promoteSource(context, sheetName, parsedData, translations, jsonResults, language) {
+        if (!context.formData.promoteSource) {
+            return null;
+        }
+        
+        const rows = sheetsParser.createPromotions(parsedData.data, translations, jsonResults, context.dataType, parsedData.columnMap);
+        const promotion = {
+            spreadsheetId: context.spreadsheetId,
+            sheetName,
+            language,
+            columnMap: parsedData.columnMap,
+            fields: [...new Set(rows.flatMap(row => Object.keys(row.values)))],
+            rows
+        };
+        
+        if (rows.length === 0) {
+            this.progressSteps.updateStepProgress(STEP.PROMOTE, 100, 'Nothing to promote');
+            return promotion;
+        }
+        
+        context.cancellationToken.throwIfCancelled();
+        
+        // Not cancellable once started; after a failure, the rows already written stay revertable
+        const committedRows = new Set();
+        try {
+            await sheetsWriter.writeFieldValues(context.spreadsheetId, sheetName, rows, parsedData.columnMap, {
+                onCommit: sheetRows => sheetRows.forEach(sheetRow => committedRows.add(sheetRow))
+            });
+            this.progressSteps.updateStepProgress(STEP.PROMOTE, 100,
+                `Promoted ${rows.length} rows (${promotion.fields.join(', ')})`
+            );
+        } catch (error) {
+            console.error('Source promotion failed:', error);
+            promotion.rows = rows.filter(row => committedRows.has(row.rowIndex + 2));
+            promotion.error = `Source promotion stopped after ${promotion.rows.length} of ${rows.length} rows: ${error.message}`;
+        }
+        
+        return promotion;
+    }
+    
+    /**
+     * Store written translations in translation memory
+     * Rows flagged by QA, the number check or the back-translation check are left out
+     * so the next run sends them to the provider again; so are rows fixed by the retry
+     * provider (their translation belongs to another provider's memory scope).
+     * @param {Object} context - Shared run context
+     * @param {string} language - Target language
+     * @param {Array} translations - Translation results that were written
+     * @param {Object} qa - Result of _runQualityCheck
+     * @param {Object} providerOptions - { glossaryId, formality, context } of the run
+     */
+    async _rememberTranslations(context, language, translations, qa, providerOptions) {
+        const flaggedRows = new Set(
+            [...qa.flagged, ...qa.mismatched, ...qa.backTranslation.flagged].map(flag => flag.rowIndex)
+        );
+        const passed = translations.filter(result =>
+            result.memorySources && !result.retriedWith && !flaggedRows.has(result.rowIndex)
+        );
+        if (passed.length === 0) return;
+        
+        const translator = await this._getTranslator(context, language);
+        await translator.rememberResults(passed, language, providerOptions);
+    }
+    
+    /**
+     * Optional back-translation check (see TranslationService.verifyBackTranslation)
+     * A provider error only skips the check: the translations are already paid for.
+     * @param {Object} context - Shared run context
+     * @param {Object} translationData - Result of translateRows (results get a backTranslation score)
+     * @param {Array} rows - Rows that were sent for translation
+     * @param {string} language - Target language
+     * @returns {Promise<Object>} - { checked, similarityTotal, flagged }
+     */
+    async _verifyBackTranslation(context, translationData, rows, language) {
+        const none = { checked: 0, similarityTotal: 0, flagged: [] };
+        const hasTranslations = translationData.results.some(result => result.success && !result.skipped);
+        if (!context.formData.verifyBackTranslation || !hasTranslations) {
+            return none;
+        }
+        
+        this.progressSteps.updateStepProgress(STEP.QA, 75, 'Translating back to check similarity');
+        
+        try {
+            const translator = await this._getTranslator(context, language);
+            return await translator.verifyBackTranslation(translationData.results, rows, language, context.dataType, {
+                cancellationToken: context.cancellationToken
+            });
+        } catch (error) {
+            if (CancellationToken.isCancellation(error)) {
+                throw error;
+            }
+            console.warn('Back-translation check skipped:', error);
+            this.components.progress.updateDetail(`Back-translation check skipped: ${error.message}`);
+            return none;
+        }
+    }
+    
+    /**
+     * Get the translator used to retry rows flagged by QA
+     * @param {Object} context - Shared run context
+     * @param {string} language - Target language
+     * @returns {Promise<TranslationService|null>} - null when no usable retry provider is configured
+     */
+    async _getRetryTranslator(context, language) {
+        const { qaRetryProvider, qaRetryApiKey, apiService, transliterateNames, lineHandling } = context.formData;
+        if (!qaRetryProvider || !qaRetryApiKey || qaRetryProvider === apiService || context.retryTranslator === false) {
+            return null;
+        }
+        
+        if (!context.retryTranslator) {
+            // No translation memory: flagged rows must reach the retry provider
+            const translator = translationService(qaRetryApiKey, qaRetryProvider, {}, { transliterateNames, lineHandling });
+            
+            if (!(await translator.testConnection())) {
+                console.warn(`QA retry disabled: failed to connect to ${translator.provider.name}`);
+                context.retryTranslator = false;
+                return null;
+            }
+            context.retryTranslator = translator;
+        }
+        
+        if (!context.retryTranslator.provider.supportsLanguage(language)) {
+            console.warn(`QA retry skipped: ${context.retryTranslator.provider.name} does not support ${language}`);
+            return null;
+        }
+        
+        return context.retryTranslator;
+    }
+    
+    /**
+     * Show the dry-run preview and wait for the user's approval
+     * @param {Object} context - Shared run context
+     * @param {Array} rows - Parsed rows
+     * @param {Array} translationResults - Translation results
+     * @param {Array} jsonResults - JSON results
+     * @param {string} language - Target language
+     * @returns {Promise<Object>} - { rowCount, approvedRows }
+     */
+    async _reviewChanges(context, rows, translationResults, jsonResults, language) {
+        const { dataType } = context;
+        const previewRows = ChangePreview.buildRows(rows, translationResults, jsonResults, dataType);
+        
+        if (previewRows.length === 0) {
+            this.components.progress.updateDetail('No cells would change');
+            return { rowCount: 0, approvedRows: new Set() };
+        }
+        
+        this.components.progress.updateDetail(`Waiting for review of ${previewRows.length} changed rows...`);
+        const approvedRows = await this.components.preview.review(previewRows, { dataType, language });
+        
+        context.cancellationToken.throwIfCancelled();
+        
+        return { rowCount: previewRows.length, approvedRows };
+    }
+    
+    /**
+     * Set up checkpointing for a tab, offering to resume an unfinished run
+     * @param {Object} context - Shared run context
+     * @param {string} sheetName - Sheet tab
+     * @param {string} language - Target language
+     * @param {Array} rowsToTranslate - Rows about to be translated
+     * @returns {Promise<Object>} - { restored, save(batchResults), clear() }
+     */
+    async _prepareCheckpoint(context, sheetName, language, rowsToTranslate) {
+        if (!checkpointStore) {
+            return { restored: new Map(), save: async () => {}, clear: async () => {} };
+        }
+        
+        const { spreadsheetId, dataType } = context;
+        const key = checkpointStore.createKey(spreadsheetId, sheetName, dataType, language);
+        const existing = await checkpointStore.find(key);
+        let restored = checkpointStore.getRestorableResults(existing, rowsToTranslate);
+        
+        if (restored.size > 0) {
+            const startedAt = new Date(existing.startedAt).toLocaleString();
+            const resume = confirm(
+                `An unfinished ${dataType} run for the "${sheetName}" tab (started ${startedAt}) ` +
+                `has ${restored.size} translated rows saved.\n\n` +
+                'Resume it and skip those rows? Choose Cancel to start over.'
+            );
+            if (!resume) {
+                restored = new Map();
+            }
+        }
+        
+        checkpointStore.begin(key, {
+            spreadsheetId,
+            sheetName,
+            dataType,
+            language,
+            provider: context.formData.apiService
+        }, restored.size > 0 ? existing : null);
+        
+        if (restored.size > 0) {
+            this.progressSteps.updateStepProgress(STEP.TRANSLATE, 0, `Resuming: ${restored.size} rows restored from the last run`);
+        }
+        
+        const rowsById = new Map(rowsToTranslate.map(row => [row.id, row]));
+        return {
+            restored,
+            save: batchResults => checkpointStore.saveBatch(key, batchResults, rowsById),
+            clear: () => checkpointStore.clear(key)
+        };
+    }
+    
+    /**
+     * Load the official hospital name dictionary tab
+     * Only used for hospital data; a missing tab means no dictionary
+     * @param {Object} context - Run context
+     * @returns {Promise<Map>} - Korean name -> { language: official name }
+     */
+    async _loadNameDictionary(context) {
+        if (context.dataType !== 'hospital') {
+            return new Map();
+        }
+        
+        if (!context.nameDictionary) {
+            try {
+                const sheetData = await sheetsService.getSheetData(context.spreadsheetId, APP_CONFIG.NAME_DICTIONARY.SHEET_NAME);
+                context.nameDictionary = sheetsParser.parseLookupSheet(sheetData, APP_CONFIG.NAME_DICTIONARY.KEY_HEADERS);
+                console.log(`Loaded ${context.nameDictionary.size} official hospital names`);
+            } catch (error) {
+                console.log('No name dictionary tab found, translating hospital names');
+                context.nameDictionary = new Map();
+            }
+        }
+        
+        return context.nameDictionary;
+    }
+    
+    /**
+     * Pre-flight quota check: estimate characters and cost against the remaining quota
+     * Refuses the run, or offers to translate only the rows that fit
+     * @param {TranslationService} translator - Translation service
+     * @param {Array} rows - Rows about to be translated
+     * @param {string} language - Target language
+     * @param {string} dataType - Data type
+     * @param {Object} estimateOptions - { restored, nameDictionary } (rows and names that cost nothing),
+     *                                     { backTranslation } (count the back-translation check too)
+     * @returns {Promise<Object>} - { rows, estimatedCharacters, deferredRows }
+     */
+    async _checkQuota(translator, rows, language, dataType, estimateOptions) {
+        const { characterCount, rowCharacters } = await translator.estimateCharacters(rows, language, dataType, estimateOptions);
+        if (characterCount === 0) {
+            return { rows, estimatedCharacters: 0, deferredRows: 0 };
+        }
+        
+        const providerName = translator.provider.name;
+        const describe = characters => {
+            const cost = translator.provider.estimateCost(characters);
+            return `${characters.toLocaleString()} characters${cost !== null ? ` (~$${cost.toFixed(2)})` : ''}`;
+        };
+        
+        const usage = await translator.getUsageStats();
+        if (!usage || !usage.characterLimit) {
+            // Provider does not report a quota - show the estimate only
+            this.progressSteps.updateStepProgress(STEP.TRANSLATE, 0, `Estimated ${describe(characterCount)}`);
+            return { rows, estimatedCharacters: characterCount, deferredRows: 0 };
+        }
+        
+        const remaining = Math.max(usage.characterLimit - usage.characterCount, 0);
+        if (characterCount <= remaining) {
+            this.progressSteps.updateStepProgress(STEP.TRANSLATE, 0,
+                `Estimated ${describe(characterCount)} of ${remaining.toLocaleString()} remaining in your ${providerName} quota`
+            );
+            return { rows, estimatedCharacters: characterCount, deferredRows: 0 };
+        }
+        
+        // Keep rows in sheet order until the quota runs out (free rows are always kept)
+        const keptRows = [];
+        let usedCharacters = 0;
+        let quotaReached = false;
+        rows.forEach(row => {
+            const characters = rowCharacters.get(row.id) || 0;
+            if (characters > 0 && (quotaReached || usedCharacters + characters > remaining)) {
+                quotaReached = true;
+                return;
+            }
+            usedCharacters += characters;
+            keptRows.push(row);
+        });
+        
+        const shortfall = `This run needs ${describe(characterCount)} but only ${remaining.toLocaleString()} characters remain in your ${providerName} quota.`;
+        if (usedCharacters === 0) {
+            throw new Error(`Not enough translation quota. ${shortfall}`);
+        }
+        
+        const translateFirst = confirm(
+            `${shortfall}\n\n` +
+            `Translate only the first ${keptRows.length} of ${rows.length} rows (${describe(usedCharacters)})? ` +
+            'Choose Cancel to stop without translating.'
+        );
+        if (!translateFirst) {
+            throw new Error(`Translation stopped before exceeding the quota. ${shortfall}`);
+        }
+        
+        return { rows: keptRows, estimatedCharacters: usedCharacters, deferredRows: rows.length - keptRows.length };
+    }
+    
+    /**
+     * Tell the user about unfinished runs that can be resumed
+     */
+    async _notifyUnfinishedRuns() {
+        if (!checkpointStore) return;
+        
+        const runs = await checkpointStore.listUnfinished();
+        if (runs.length === 0) return;
+        
+        const tabs = runs.map(run => `${run.sheetName} (${run.dataType})`).join(', ');
+        const alert = Alert.create({
+            type: 'info',
+            message: `Unfinished translation run found for: ${tabs}. ` +
+                'Start a translation of the same spreadsheet, tab and data type to resume it.'
+        });
+        
+        document.querySelector('.container').insertBefore(
+            alert.container,
+            document.querySelector('.container').firstChild
+        );
+    }
+    
+    /**
+     * Record sheet rows committed by a write
+     * @param {Object} context - Shared run context
+     * @param {string} language - Sheet tab
+     * @param {string} kind - 'translations', 'json' or 'repairs' (old_json)
+     * @param {Array<number>} sheetRows - Sheet row numbers
+     */
+    _recordCommit(context, language, kind, sheetRows) {
+        if (!context.committed[language]) {
+            context.committed[language] = { translations: [], json: [], repairs: [] };
+        }
+        context.committed[language][kind].push(...sheetRows);
+    }
+    
+    /**
+     * Get the run's translation service, creating and testing it on first use
+     * UPDATED: Languages the selected provider cannot translate (e.g. Mongolian on
+     * DeepL) go to the first provider in LANGUAGES that has a key entered this session
+     * @param {Object} context - Shared run context
+     * @param {string} language - Target language
+     * @returns {Promise<TranslationService>}
+     */
+    async _getTranslator(context, language) {
+        if (!context.translator) {
+            const { apiKey, apiService, apiEndpoint, apiModel } = context.formData;
+            
+            // Create translation service instance for the selected provider
+            context.translator = await this._createTranslator(context, apiService, apiKey, {
+                baseUrl: apiEndpoint,
+                model: apiModel
+            });
+        }
+        
+        if (context.translator.provider.supportsLanguage(language)) {
+            return context.translator;
+        }
+        
+        const apiKeys = context.formData.apiKeys || {};
+        const providerId = LanguageRegistry.getProviders(language).find(id => apiKeys[id]);
+        if (!providerId) {
+            const names = LanguageRegistry.getProviders(language)
+                .map(id => APP_CONFIG.TRANSLATION_PROVIDERS[id]?.NAME || id)
+                .join(' or ');
+            throw new Error(
+                `${LanguageRegistry.getName(language)} is not available with ${context.translator.provider.name}. ` +
+                `Enter a ${names} API key in the form (keys are kept when switching services) to translate the ${language} tab.`
+            );
+        }
+        
+        if (!context.fallbackTranslators[providerId]) {
+            context.fallbackTranslators[providerId] = await this._createTranslator(context, providerId, apiKeys[providerId]);
+        }
+        return context.fallbackTranslators[providerId];
+    }
+    
+    /**
+     * Create a translation service and test its connection
+     * @param {Object} context - Shared run context
+     * @param {string} providerId - Provider id
+     * @param {string} apiKey - Provider API key
+     * @param {Object} providerOptions - { baseUrl, model } overrides
+     * @returns {Promise<TranslationService>}
+     */
+    async _createTranslator(context, providerId, apiKey, providerOptions = {}) {
+        const translator = translationService(apiKey, providerId, providerOptions, {
+            memory: translationMemory,
+            transliterateNames: context.formData.transliterateNames,
+            lineHandling: context.formData.lineHandling
+        });
+        
+        // Test connection
+        const isConnected = await translator.testConnection();
+        if (!isConnected) {
+            throw new Error(`Failed to connect to ${translator.provider.name} API. Please check your API key.`);
+        }
+        
+        return translator;
+    }
+    
+    /**
+     * Language tabs present in the spreadsheet, for "All languages" runs
+     * @param {string} spreadsheetId - Spreadsheet ID
+     * @returns {Promise<Array<string>>} - Language keys in LANGUAGES order
+     */
+    async _getLanguageTabs(spreadsheetId) {
+        const tabs = new Set((await sheetsService.getSheetNames(spreadsheetId)).map(sheet => sheet.name));
+        const languages = LanguageRegistry.keys().filter(key => tabs.has(key));
+        
+        if (languages.length === 0) {
+            throw new Error(`No language tabs found. Name the tabs after the language codes: ${LanguageRegistry.keys().join(', ')}`);
+        }
+        
+        return languages;
+    }
+    
+    /**
+     * Get the formality and provider context for a language
+     * TRANSLATION_STYLE supplies the defaults per data type and language;
+     * values chosen in the Options section override them for the whole run.
+     * @param {Object} context - Shared run context
+     * @param {string} language - Target language
+     * @returns {Object} - { formality, context }
+     */
+    _getTranslationStyle(context, language) {
+        const defaults = APP_CONFIG.TRANSLATION_STYLE[context.dataType.toUpperCase()]?.[language] || {};
+        const { formality, translationContext } = context.formData;
+        
+        return {
+            formality: formality || defaults.formality || 'default',
+            context: translationContext || defaults.context || ''
+        };
+    }
+    
+    /**
+     * Combine per-language results of a multi-target run
+     * @param {Array} languageResults - Result of each language pass
+     * @param {Object} formData - Form data
+     * @returns {Object} - Combined result with perLanguage breakdown
+     */
+    _combineLanguageResults(languageResults, formData) {
+        const statistics = { errors: [], warnings: [] };
+        
+        languageResults.forEach(result => {
+            Object.entries(result.statistics).forEach(([key, value]) => {
+                if (typeof value === 'number') {
+                    statistics[key] = (statistics[key] || 0) + value;
+                }
+            });
+            statistics.errors.push(...(result.statistics.errors || []).map(error => `[${result.language}] ${error}`));
+            statistics.warnings.push(...(result.statistics.warnings || []).map(warning => `[${result.language}] ${warning}`));
+        });
+        
+        return {
+            success: languageResults.every(result => result.success),
+            dataType: formData.dataType,
+            language: APP_CONFIG.TRANSLATION.ALL_LANGUAGES,
+            languages: languageResults.map(result => result.language),
+            provider: formData.apiService,
+            translationStyles: Object.assign({}, ...languageResults.map(result => result.translationStyles)),
+            promotions: languageResults.flatMap(result => result.promotions || []),
+            statistics,
+            perLanguage: languageResults,
+            timestamp: new Date().toISOString()
+        };
+    }
+    
+    /**
+     * Create or update the provider glossary from the glossary tab
+     * A missing tab or a failed sync is not fatal - translation continues without a glossary
+     * @param {TranslationService} translator - Translation service instance
+     * @param {string} spreadsheetId - Spreadsheet ID
+     * @param {string} language - Target language
+     * @returns {Promise<Object|null>} - { glossaryId, entryCount } or null
+     */
+    async _syncGlossary(translator, spreadsheetId, language) {
+        if (!glossaryService || !translator.provider.supportsGlossaries()) {
+            return null;
+        }
+        
+        let glossarySheet;
+        try {
+            glossarySheet = await sheetsService.getSheetData(spreadsheetId, APP_CONFIG.GLOSSARY.SHEET_NAME);
+        } catch (error) {
+            console.log('No glossary tab found, translating without glossary');
+            return null;
+        }
+        
+        try {
+            const glossary = await glossaryService(translator.provider).sync(glossarySheet, spreadsheetId, language);
+            if (glossary.glossaryId) {
+                this.progressSteps.updateStepProgress(STEP.TRANSLATE, 0, `Using glossary with ${glossary.entryCount} terms`);
+            }
+            return glossary;
+        } catch (error) {
+            console.warn('Glossary sync failed:', error);
+            this.progressSteps.updateStepProgress(STEP.TRANSLATE, 0, `Glossary not applied: ${error.message}`);
+            return null;
+        }
+    }
+    
     /**
      * Handle successful translation
      */
     handleTranslationSuccess(result, formData) {
         this.state.results = result;
         this.state.isTranslating = false;
+        this.state.cancellation = null;
         
         // Create results object
         const resultsData = createResultsObject(result, formData);
@@ -554,17 +1379,76 @@ class MedicalTranslationApp {
         }, 1000);
     }
     
+    /**
+     * Clear the translation memory (e.g. after correcting bad translations by hand)
+     * NEW METHOD
+     */
+    async handleClearTranslationMemory() {
+        if (!translationMemory) {
+            this.showError('Translation memory is not enabled');
+            return;
+        }
+        if (!confirm('Delete all remembered translations? Later runs will send every text to the provider again.')) {
+            return;
+        }
+        
+        try {
+            await translationMemory.clear();
+            this.showSuccess('Translation memory cleared');
+        } catch (error) {
+            console.error('Failed to clear translation memory:', error);
+            this.showError(`Could not clear translation memory: ${error.message}`);
+        }
+    }
+    
+    /**
+     * Revert a source promotion: write the previous old_ values back
+     * NEW METHOD
+     * @param {Array} promotions - Promotion records from the run result
+     * @returns {Promise<boolean>} - True when every promotion was reverted
+     */
+    async handleRevertPromotion(promotions) {
+        const rowCount = promotions.reduce((sum, promotion) => sum + promotion.rows.length, 0);
+        if (!confirm(`Restore the previous old_ column values of ${rowCount} rows?`)) {
+            return false;
+        }
+        
+        try {
+            for (const promotion of promotions) {
+                await sheetsWriter.writeFieldValues(
+                    promotion.spreadsheetId,
+                    promotion.sheetName,
+                    promotion.rows.map(row => ({ rowIndex: row.rowIndex, values: row.previous })),
+                    promotion.columnMap
+                );
+            }
+            this.showSuccess(`Promotion reverted for ${rowCount} rows`);
+            return true;
+        } catch (error) {
+            console.error('Reverting the promotion failed:', error);
+            this.showError(`Could not revert the promotion: ${error.message}`);
+            return false;
+        }
+    }
+    
     /**
      * Handle translation error
+     * UPDATED: Cancellation is reported with the rows already written
      */
     handleTranslationError(error) {
         this.state.isTranslating = false;
+        this.state.cancellation = null;
         
-        console.error('Translation error:', error);
-        this.showError(error.message || APP_CONFIG.ERROR_MESSAGES.TRANSLATION_FAILED);
+        if (CancellationToken.isCancellation(error)) {
+            this.showError(`Translation cancelled. ${this._describeCommitted(error.committed)}`);
+        } else {
+            console.error('Translation error:', error);
+            this.showError(error.message || APP_CONFIG.ERROR_MESSAGES.TRANSLATION_FAILED);
+        }
         
         // Reset UI
         this.components.progress.hide();
+        this.components.preview.hide();
         this.components.form.enable();
         
         // Disable cancel button
@@ -574,20 +1458,16 @@ class MedicalTranslationApp {
     
     /**
      * Handle cancel
+     * UPDATED: Cancels the run's token; the UI resets once the run has stopped
      */
     handleCancel() {
-        if (!this.state.isTranslating) return;
+        if (!this.state.isTranslating || !this.state.cancellation) return;
         
         if (confirm('Are you sure you want to cancel the translation?')) {
-            this.state.isTranslating = false;
-            
-            // Reset UI
-            this.components.progress.hide();
-            this.components.form.enable();
-            this.hideError();
-            
-            // Show cancelled message
-            this.showError('Translation cancelled.');
+            // Aborts in-flight API requests and stops before the next batch or write
+            this.state.cancellation.cancel();
+            this.components.preview.discard();
+            this.components.progress.updateDetail('Cancelling... waiting for the current request to stop');
             
             // Disable cancel button
             const cancelBtn = document.getElementById('quit-btn');
@@ -595,6 +1475,52 @@ class MedicalTranslationApp {
         }
     }
     
+    /**
+     * Describe which sheet rows were written before a cancel
+     * @param {Object} committed - language -> { translations, json, repairs } sheet rows
+     * @returns {string}
+     */
+    _describeCommitted(committed = {}) {
+        const parts = Object.entries(committed).map(([language, rows]) => {
+            const written = [];
+            if (rows.translations.length > 0) {
+                written.push(`translations in rows ${this._formatRowList(rows.translations)}`);
+            }
+            if (rows.json.length > 0) {
+                written.push(`JSON in rows ${this._formatRowList(rows.json)}`);
+            }
+            if (rows.repairs.length > 0) {
+                written.push(`repaired old_json in rows ${this._formatRowList(rows.repairs)}`);
+            }
+            return written.length > 0 ? `${language}: ${written.join('; ')}` : null;
+        }).filter(Boolean);
+        
+        return parts.length > 0
+            ? `Written before cancelling - ${parts.join(' | ')}`
+            : 'Nothing was written to the sheet.';
+    }
+    
+    /**
+     * Format sheet row numbers as compact ranges (2-5, 9)
+     * @param {Array<number>} rows - Sheet row numbers
+     * @returns {string}
+     */
+    _formatRowList(rows) {
+        const sorted = Array.from(new Set(rows)).sort((a, b) => a - b);
+        const ranges = [];
+        
+        sorted.forEach(row => {
+            const last = ranges[ranges.length - 1];
+            if (last && row === last[1] + 1) {
+                last[1] = row;
+            } else {
+                ranges.push([row, row]);
+            }
+        });
+        
+        return ranges.map(([start, end]) => start === end ? `${start}` : `${start}-${end}`).join(', ');
+    }
+    
     /**
      * Handle new translation
      */
@@ -620,15 +1546,39 @@ Medical Translation Tool - Help
 1. Sign in with Google to access your spreadsheets
 2. Enter your Google Sheets URL
 3. Select the data type (Doctor or Hospital)
-4. Choose the target language (matches sheet tab name)
-5. Enter your DeepL API key
-6. Click "Start Translation"
+4. Choose the target language (matches sheet tab name), or All languages
+5. Choose a translation service (DeepL, Google, Papago or an LLM) and enter its API key
+6. Optionally tick "Preview changes before writing" to review and approve each changed row
+7. Click "Start Translation"
 
 Sheet Requirements:
-- Sheet tabs must be named: en, ja, or th
-- Columns must follow the exact structure (12 columns)
+- Sheet tabs must be named after a language code: ${LanguageRegistry.keys().join(', ')}
+- Mongolian (mn) is not available on DeepL or Papago; enter a Google or LLM key for it
+- Rows with no Korean text are translated from another language in old_json (en first);
+  the JSON entry records it as "source_lang"
+- Columns are found by header name (id, kr_name, LLM_name, updated_json, ...), so extra helper columns may be inserted anywhere
 - Manual translations override LLM translations
+- Only changed fields are translated again: when just kr_description differs from
+  old_description, the existing LLM_name is kept (characters saved are shown in the results)
+- Tick "Promote Korean source to old_ columns" to copy kr_* to old_* and updated_json to
+  old_json for the rows written; the results show what was promoted and can revert it
+- Optional "source_hash" column: each written translation stores hashes of its Korean source,
+  and later runs compare those instead of old_ columns (whitespace-only edits are ignored)
 - Old values are preserved in multi-language JSON
+- Optional "glossary" tab (kr, en, ja, th columns) fixes DeepL terminology
+- Optional "hospital_names" tab (kr_name, en, ja, th columns) supplies official hospital names
+- Korean doctor names are transliterated by rule (can be turned off in Options)
+- Formality and translation context come from TRANSLATION_STYLE in config.js
+  (polite Japanese by default) and can be overridden under Options
+- Line breaks in history/description are kept: lines are translated one by one
+  (or with XML line tags for DeepL, see "Line breaks" in Options)
+- Translations with leftover Korean or the wrong script are flagged and listed with their sheet rows;
+  choose a second service under "Retry flagged rows with" to translate them again
+- Numbers, years, URLs and emails missing from a translation are listed per row;
+  tick "Block rows with number mismatches" to keep those rows out of the sheet
+- Tick "Check by back-translation" to translate results back to Korean and score them (0-1);
+  rows below ${APP_CONFIG.BACK_TRANSLATION.THRESHOLD} are listed for review, and an optional
+  "qa_back_translation" column receives each row's score (uses about twice the characters)
 
 Translation Priority:
 manual_ > llm_ > old_ > old_json